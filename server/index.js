@@ -4,23 +4,49 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { exec, execSync } from "child_process";
-import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync, appendFileSync } from "fs";
+import { exec, execFileSync, execSync } from "child_process";
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readFileSync, readdirSync, watch, writeFileSync, appendFileSync } from "fs";
 import { homedir, platform } from "os";
-import { join } from "path";
+import { basename, dirname, join, relative } from "path";
+import { fileURLToPath } from "url";
 import { promisify } from "util";
+import { Document, LineCounter, Scalar, isMap, isScalar, isSeq, parseDocument } from "yaml";
 
 const execAsync = promisify(exec);
 
-const ARTIFACTS = ["prd", "ux", "architecture", "epics_stories", "readiness"];
-const ARTIFACT_GROUPS = {
-  prd: ["ba", "design", "dev"],
-  ux: ["ba", "design"],
-  architecture: ["dev"],
-  epics_stories: ["ba", "dev"],
-  readiness: ["ba", "design", "dev"],
+// Artifact templates shipped with the server; projects can override them in _bmad-output/templates/
+const TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), "templates");
+
+// Default signoff pipeline, used when a project has no _bmad-output/governance/workflow.yaml
+const DEFAULT_WORKFLOW = {
+  version: 1,
+  branch_pattern: "bmad/{key}/{step}",
+  steps: [
+    { id: "prd", title: "PRD", artifact: "PRD.md", required_groups: ["ba", "design", "dev"], role: "requirements" },
+    { id: "ux", title: "UX Design", artifact: "UX.md", required_groups: ["ba", "design"] },
+    { id: "architecture", title: "Architecture", artifact: "ARCHITECTURE.md", required_groups: ["dev"] },
+    { id: "epics_stories", title: "Epics & Stories", artifact: "EPICS_AND_STORIES.md", required_groups: ["ba", "dev"], role: "stories" },
+    { id: "readiness", title: "Implementation Readiness", artifact: "IMPLEMENTATION_READINESS.md", required_groups: ["ba", "design", "dev"], role: "readiness" },
+  ],
+};
+
+// The parts a step can play beyond being signed off, declared with `role` in workflow.yaml
+const STEP_ROLES = {
+  requirements: "requirements are defined here and traced downstream",
+  stories: "epics and stories that must cover every requirement, and that become Jira stories",
+  readiness: "the generated readiness report, whose signoff is gated on traceability and a go decision",
 };
 
 // Session state
@@ -35,6 +61,8 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
     },
   }
 );
@@ -215,54 +243,140 @@ function governanceExists() {
 
 function loadGovernance() {
   if (!governanceExists()) return null;
-  const content = readFileSync(getGovernancePath(), "utf-8");
-  const lines = content.split("\n");
-  const governance = { groups: {}, jira: {} };
-  
-  let currentGroup = null;
+  const { data } = readYamlFile(getGovernancePath(), GOVERNANCE_SCHEMA);
   
-  for (const line of lines) {
-    if (line.startsWith("  project_key:")) {
-      governance.jira.project_key = line.split(":")[1].trim().replace(/"/g, "");
-    }
-    if (line.match(/^  (ba|design|dev):$/)) {
-      currentGroup = line.trim().replace(":", "");
-      governance.groups[currentGroup] = { leads: { github_users: [], jira_account_ids: [] } };
-    }
-    if (line.includes("github_users:") && currentGroup) {
-      const match = line.match(/\[(.*)\]/);
-      if (match) {
-        governance.groups[currentGroup].leads.github_users = match[1]
-          .split(",")
-          .map(s => s.trim().replace(/"/g, ""));
-      }
-    }
-    if (line.includes("jira_account_ids:") && currentGroup) {
-      const match = line.match(/\[(.*)\]/);
-      if (match) {
-        governance.groups[currentGroup].leads.jira_account_ids = match[1]
-          .split(",")
-          .map(s => s.trim().replace(/"/g, ""));
-      }
-    }
+  const governance = { ...data, groups: {}, jira: data.jira || {}, signoff_rules: data.signoff_rules || {} };
+  for (const [name, group] of Object.entries(data.groups || {})) {
+    governance.groups[name] = {
+      ...group,
+      leads: {
+        github_users: group.leads?.github_users || [],
+        jira_account_ids: group.leads?.jira_account_ids || [],
+      },
+      github: group.github || { team_slug: "" },
+    };
   }
   
   return governance;
 }
 
+function newGovernanceGroup(users) {
+  return {
+    leads: { github_users: users, jira_account_ids: [] },
+    github: { team_slug: "" },
+  };
+}
+
+function formatGroupName(group) {
+  const governance = governanceExists() ? loadGovernance() : null;
+  const displayName = governance?.groups?.[group]?.display_name;
+  if (displayName) return displayName;
+  // Short names are acronyms (BA, QA); longer ones read as words (Design, Security)
+  if (group.length <= 2) return group.toUpperCase();
+  return group.charAt(0).toUpperCase() + group.slice(1).replace(/[-_]/g, " ");
+}
+
+function getWorkflowPath() {
+  const root = getProjectRoot();
+  if (!root) return null;
+  return join(root, "_bmad-output", "governance", "workflow.yaml");
+}
+
+function loadWorkflow() {
+  const path = getWorkflowPath();
+  const data = path && existsSync(path) ? readYamlFile(path, WORKFLOW_SCHEMA).data : DEFAULT_WORKFLOW;
+  const branchPattern = data.branch_pattern || DEFAULT_WORKFLOW.branch_pattern;
+  // Older governance files list required groups under signoff_rules; use them for steps that don't declare any
+  const signoffRules = loadGovernance()?.signoff_rules || {};
+  
+  return {
+    branchPattern,
+    steps: data.steps.map(step => ({
+      id: step.id,
+      title: step.title || step.id.toUpperCase(),
+      artifact: step.artifact || `${step.id.toUpperCase()}.md`,
+      branch: step.branch || branchPattern,
+      required_groups: step.required_groups || signoffRules[step.id]?.required_groups || [],
+      depends_on: step.depends_on,
+      role: step.role,
+    })),
+  };
+}
+
+function formatBranchName(pattern, key, step) {
+  return pattern.replace(/\{key\}/g, key).replace(/\{step\}/g, step.replace(/_/g, "-"));
+}
+
+function getInitiativeSteps(state) {
+  return Object.keys(state.artifacts);
+}
+
+function getRoleStep(state, role) {
+  // Initiatives whose pipeline declares no roles at all (created before roles existed) keep the default step ids
+  const steps = getInitiativeSteps(state);
+  const declared = steps.find(step => state.artifacts[step].role === role);
+  if (declared || steps.some(step => state.artifacts[step].role)) return declared || null;
+  const fallback = DEFAULT_WORKFLOW.steps.find(step => step.role === role).id;
+  return steps.includes(fallback) ? fallback : null;
+}
+
+function getStepRole(state, step) {
+  return Object.keys(STEP_ROLES).find(role => getRoleStep(state, role) === step);
+}
+
+function findMissingRoles(state) {
+  return Object.keys(STEP_ROLES).filter(role => !getRoleStep(state, role));
+}
+
 function initiativeExists(key) {
   return existsSync(join(getInitiativePath(key), "state.yaml"));
 }
 
+function getStatePath(key) {
+  return join(getInitiativePath(key), "state.yaml");
+}
+
 function loadInitiativeState(key) {
-  const statePath = join(getInitiativePath(key), "state.yaml");
+  const statePath = getStatePath(key);
   if (!existsSync(statePath)) return null;
-  const content = readFileSync(statePath, "utf-8");
+  const { data } = readYamlFile(statePath, STATE_SCHEMA);
   
-  const stepMatch = content.match(/current_step:\s*(\w+)/);
-  const currentStep = stepMatch ? stepMatch[1] : "prd";
+  const artifacts = {};
+  for (const [name, artifact] of Object.entries(data.artifacts || {})) {
+    artifacts[name] = {
+      title: artifact.title || name.toUpperCase(),
+      path: artifact.path,
+      required_groups: artifact.required_groups || [],
+      signoffs: artifact.signoffs || {},
+      depends_on: artifact.depends_on,
+      role: artifact.role,
+      signed_off: artifact.signed_off || null,
+      tickets: artifact.tickets || {},
+      ...artifact.active,
+    };
+  }
   
-  return { key, currentStep, raw: content };
+  return {
+    key,
+    title: data.title || "",
+    currentStep: data.current_step || "prd",
+    phase: data.phase || "planning",
+    artifacts,
+    history: data.history || [],
+    data,
+  };
+}
+
+function updateInitiativeState(key, update) {
+  updateYamlFile(getStatePath(key), STATE_SCHEMA, update);
+}
+
+function setArtifactActive(key, artifact, fields) {
+  updateInitiativeState(key, doc => {
+    for (const [field, value] of Object.entries(fields)) {
+      setYamlValue(doc, ["artifacts", artifact, "active", field], value);
+    }
+  });
 }
 
 function createInitiative(key, title) {
@@ -271,68 +385,42 @@ function createInitiative(key, title) {
   
   mkdirSync(artifactsPath, { recursive: true });
   
-  const stateContent = `version: 1
-key: "${key}"
-title: "${title}"
-external_ids:
-  jira: ""
-
-phase: planning
-current_step: prd
-
-governance_ref:
-  path: _bmad-output/governance/governance.yaml
-
-artifacts:
-  prd:
-    path: _bmad-output/initiatives/${key}/artifacts/PRD.md
-    required_groups: [ba, design, dev]
-    active:
-      branch: "bmad/${key}/prd"
-      pr_url: ""
-      pr_number: null
-      status: none
-
-  ux:
-    path: _bmad-output/initiatives/${key}/artifacts/UX.md
-    required_groups: [ba, design]
-    active:
-      branch: "bmad/${key}/ux"
-      pr_url: ""
-      pr_number: null
-      status: none
-
-  architecture:
-    path: _bmad-output/initiatives/${key}/artifacts/ARCHITECTURE.md
-    required_groups: [dev]
-    active:
-      branch: "bmad/${key}/architecture"
-      pr_url: ""
-      pr_number: null
-      status: none
-
-  epics_stories:
-    path: _bmad-output/initiatives/${key}/artifacts/EPICS_AND_STORIES.md
-    required_groups: [ba, dev]
-    active:
-      branch: "bmad/${key}/epics-stories"
-      pr_url: ""
-      pr_number: null
-      status: none
-
-  readiness:
-    path: _bmad-output/initiatives/${key}/artifacts/IMPLEMENTATION_READINESS.md
-    required_groups: [ba, design, dev]
-    active:
-      branch: "bmad/${key}/readiness"
-      pr_url: ""
-      pr_number: null
-      status: none
-
-history: []
-`;
-
-  writeFileSync(join(initPath, "state.yaml"), stateContent);
+  // The initiative keeps its own copy of the pipeline so later workflow edits don't reshape it mid-flight
+  const workflow = loadWorkflow();
+  const firstStep = workflow.steps[0];
+  const artifacts = {};
+  for (const step of workflow.steps) {
+    artifacts[step.id] = {
+      title: step.title,
+      path: `_bmad-output/initiatives/${key}/artifacts/${step.artifact}`,
+      required_groups: step.required_groups,
+      ...(step.depends_on ? { depends_on: step.depends_on } : {}),
+      ...(step.role ? { role: step.role } : {}),
+      active: {
+        branch: formatBranchName(step.branch, key, step.id),
+        pr_url: "",
+        pr_number: null,
+        status: "none",
+        revision: 0,
+      },
+    };
+  }
+  
+  writeYamlFile(join(initPath, "state.yaml"), {
+    version: 1,
+    key,
+    title,
+    external_ids: { jira: "" },
+    phase: "planning",
+    current_step: firstStep.id,
+    governance_ref: { path: "_bmad-output/governance/governance.yaml" },
+    artifacts,
+    history: [newHistoryEvent({
+      type: "initiative_created",
+      step: firstStep.id,
+      details: { title, steps: workflow.steps.map(step => step.id) },
+    })],
+  });
   
   const timelineContent = `# Timeline: ${key}
 
@@ -343,32 +431,79 @@ history: []
 ### ${new Date().toISOString()} — Initiative Initialized
 
 - **Phase:** planning
-- **Step:** prd
+- **Step:** ${firstStep.id}
 - **Action:** Initiative created
 
 ---
 `;
   writeFileSync(join(initPath, "timeline.md"), timelineContent);
+  notifyResourceListChanged();
   
-  return { key, title, path: initPath };
+  return { key, title, path: initPath, firstStep };
 }
 
-function createArtifact(key, artifact) {
-  const artifactPath = join(getInitiativePath(key), "artifacts", `${artifact.toUpperCase()}.md`);
-  const content = `# ${artifact.toUpperCase()} (Mock)
+function getArtifactPath(key, artifact) {
+  const declared = loadInitiativeState(key)?.artifacts?.[artifact]?.path;
+  if (declared) return join(getProjectRoot(), declared);
+  return join(getInitiativePath(key), "artifacts", `${artifact.toUpperCase()}.md`);
+}
 
-**Initiative:** \`${key}\`  
-**Current step:** \`${artifact}\`  
-**Generated at:** \`${new Date().toISOString()}\`
+function getTemplatePath(step, role) {
+  // A template for the step wins over the one for its role (named after the default step with that role),
+  // then a catch-all default; within each, the project's copy wins over the shipped one
+  const projectTemplates = join(getProjectRoot(), "_bmad-output", "templates");
+  const roleTemplate = role && DEFAULT_WORKFLOW.steps.find(item => item.role === role).id;
+  const names = [step, ...(roleTemplate && roleTemplate !== step ? [roleTemplate] : []), "default"];
+  return names
+    .flatMap(name => [join(projectTemplates, `${name}.md`), join(TEMPLATES_DIR, `${name}.md`)])
+    .find(path => existsSync(path));
+}
 
----
+function formatTemplatePath(path) {
+  // Shipped templates live wherever the server is installed, which means nothing to the project's readers
+  return path.startsWith(TEMPLATES_DIR) ? `built-in templates/${basename(path)}` : displayPath(path);
+}
 
-This is a **stub artifact** for the signoff workflow.
-Signoff happens via PR approval — repo/PR is source of truth.
-`;
+function getTemplateVariables(key, step) {
+  const state = loadInitiativeState(key);
+  const artifact = state.artifacts[step];
+  const governance = loadGovernance();
+  const artifactDir = dirname(getArtifactPath(key, step));
+  const generatedAt = new Date().toISOString();
+  
+  return {
+    key,
+    title: state.title,
+    step,
+    artifact_title: artifact.title,
+    date: generatedAt.slice(0, 10),
+    generated_at: generatedAt,
+    branch: artifact.branch || "",
+    required_groups: artifact.required_groups.map(formatGroupName).join(", "),
+    leads: artifact.required_groups
+      .map(group => `- **${formatGroupName(group)}:** ${governance?.groups?.[group]?.leads.github_users.map(lead => `@${lead}`).join(", ") || "no leads configured"}`)
+      .join("\n"),
+    // Links are relative to the artifact, so they work both in the repository and in the PR
+    upstream: getUpstreamSteps(state, step)
+      .map(name => `- [${state.artifacts[name].title}](${relative(artifactDir, getArtifactPath(key, name)).split("\\").join("/")})`)
+      .join("\n") || "_None_",
+  };
+}
+
+function renderTemplate(template, variables) {
+  // Unknown placeholders are left in place, so a typo shows up in the draft instead of vanishing
+  return template.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, name) => (name in variables ? variables[name] : match));
+}
+
+function createArtifact(key, artifact) {
+  const artifactPath = getArtifactPath(key, artifact);
+  const template = getTemplatePath(artifact, getStepRole(loadInitiativeState(key), artifact));
+  const content = renderTemplate(readFileSync(template, "utf-8"), getTemplateVariables(key, artifact));
   
-  mkdirSync(join(getInitiativePath(key), "artifacts"), { recursive: true });
+  const isNew = !existsSync(artifactPath);
+  mkdirSync(dirname(artifactPath), { recursive: true });
   writeFileSync(artifactPath, content);
+  if (isNew) notifyResourceListChanged();
   return artifactPath;
 }
 
@@ -377,724 +512,5004 @@ function appendTimeline(key, entry) {
   appendFileSync(timelinePath, `\n### ${new Date().toISOString()} — ${entry.title}\n\n${entry.content}\n\n---\n`);
 }
 
-// ==================== Tool Definitions ====================
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+function newHistoryEvent(event) {
   return {
-    tools: [
-      // ===== SETUP TOOLS =====
-      {
-        name: "signoff_check_setup",
-        description: "Check if the environment is ready to use signoff tools. Verifies gh CLI installation and authentication. ALWAYS call this first before any other tool.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            auto_install: {
-              type: "boolean",
-              description: "If true, automatically install gh CLI if not present (default: true)",
-              default: true,
-            },
-          },
-        },
-      },
-      {
-        name: "signoff_authenticate",
-        description: "Start the GitHub authentication process. Opens a browser for the user to log in.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
-      },
-      
-      // ===== PROJECT MANAGEMENT TOOLS =====
-      {
-        name: "signoff_list_projects",
-        description: "List available projects. Shows local cloned projects and optionally fetches from GitHub organizations.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            include_remote: {
-              type: "boolean",
-              description: "If true, also list projects from GitHub orgs (requires gh authentication)",
-              default: true,
-            },
-            org: {
-              type: "string",
-              description: "Optional: specific GitHub org to list repos from",
-            },
-          },
-        },
-      },
-      {
-        name: "signoff_select_project",
-        description: "Select a project to work with. Can be a local path or a GitHub repo (org/repo format).",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project: {
-              type: "string",
-              description: "Project identifier: local folder name, absolute path, or GitHub repo (e.g., 'my-project', '/path/to/project', or 'org/repo')",
-            },
-          },
-          required: ["project"],
-        },
-      },
-      {
-        name: "signoff_clone_project",
-        description: "Clone a GitHub repository to work with locally.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            repo: {
-              type: "string",
-              description: "GitHub repo in 'owner/repo' format (e.g., 'HALO/my-project')",
-            },
-            folder_name: {
-              type: "string",
-              description: "Optional: custom folder name for the cloned repo",
-            },
-          },
-          required: ["repo"],
-        },
-      },
-      
-      // ===== WORKFLOW TOOLS =====
-      {
-        name: "signoff_status",
-        description: "Check the status of governance and initiatives for the current project.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            initiative_key: {
-              type: "string",
-              description: "Optional: specific initiative key to check status for",
-            },
-          },
-        },
-      },
-      {
-        name: "signoff_setup_governance",
-        description: "Set up governance with leads for BA, Design, and Dev groups. Required before creating initiatives.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            ba_leads: {
-              type: "array",
-              items: { type: "string" },
-              description: "GitHub usernames of BA leads",
-            },
-            design_leads: {
-              type: "array",
-              items: { type: "string" },
-              description: "GitHub usernames of Design leads",
-            },
-            dev_leads: {
-              type: "array",
-              items: { type: "string" },
-              description: "GitHub usernames of Dev leads",
-            },
-            jira_project_key: {
-              type: "string",
-              description: "Jira project key (e.g., 'PROJ')",
-            },
-          },
-          required: ["ba_leads", "design_leads", "dev_leads", "jira_project_key"],
-        },
-      },
-      {
-        name: "signoff_new_initiative",
-        description: "Create a new initiative. Governance must be set up first.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            key: {
-              type: "string",
-              description: "Initiative key (e.g., 'FEAT-123' or 'INIT-001')",
-            },
-            title: {
-              type: "string",
-              description: "Initiative title",
-            },
-          },
-          required: ["key", "title"],
-        },
-      },
-      {
-        name: "signoff_advance",
-        description: "Advance an initiative to create the next artifact, PR, and Jira tickets.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            key: {
-              type: "string",
-              description: "Initiative key",
-            },
-          },
-          required: ["key"],
-        },
-      },
-      {
-        name: "signoff_create_jira_tickets",
-        description: "Create Jira signoff tickets for the current artifact step.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            key: {
-              type: "string",
-              description: "Initiative key",
-            },
-            artifact: {
-              type: "string",
-              description: "Artifact name (prd, ux, architecture, epics_stories, readiness)",
-            },
-            pr_url: {
-              type: "string",
-              description: "GitHub PR URL to include in tickets",
-            },
-          },
-          required: ["key", "artifact"],
-        },
-      },
-    ],
+    type: event.type,
+    actor: event.actor || getGhUser() || "unknown",
+    at: event.at || new Date().toISOString(),
+    ...(event.step ? { step: event.step } : {}),
+    details: event.details || {},
   };
-});
+}
 
-// ==================== Tool Handlers ====================
+function recordHistory(key, events) {
+  // timeline.md is the human-readable log; history is the structured audit trail
+  updateInitiativeState(key, doc => {
+    for (const event of [].concat(events)) {
+      appendYamlItem(doc, ["history"], newHistoryEvent(event));
+    }
+  });
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+function recordReviewEvents(key, step, pr) {
+  const history = loadInitiativeState(key).history;
+  const seen = new Set(history
+    .filter(event => event.type === "review_received")
+    .map(event => `${event.details?.pr_number}:${event.actor}:${event.at}`));
+  const governance = loadGovernance();
+  
+  const events = (pr.reviews || [])
+    .filter(review => review.author?.login && review.submittedAt && review.state !== "PENDING")
+    .filter(review => !seen.has(`${pr.number}:${review.author.login}:${review.submittedAt}`))
+    .map(review => ({
+      type: "review_received",
+      actor: review.author.login,
+      at: review.submittedAt,
+      step,
+      details: {
+        state: review.state.toLowerCase(),
+        pr_number: pr.number,
+        pr_url: pr.url,
+        groups: getLeadGroups(governance, review.author.login),
+      },
+    }));
+  if (events.length > 0) recordHistory(key, events);
+}
 
-  try {
-    switch (name) {
-      // ===== SETUP TOOLS =====
-      case "signoff_check_setup": {
-        const autoInstall = args?.auto_install !== false;
-        let result = `## 🔧 Environment Check\n\n`;
-        
-        // Check OS
-        const os = getOS();
-        result += `**Operating System:** ${os === "macos" ? "macOS" : os === "windows" ? "Windows" : "Linux"}\n`;
+function formatHistoryDetails(value) {
+  if (Array.isArray(value)) return value.join(", ") || "none";
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([, item]) => item !== "" && item !== null)
+      .map(([name, item]) => `${name}: ${typeof item === "object" && !Array.isArray(item) ? `{ ${formatHistoryDetails(item)} }` : formatHistoryDetails(item)}`)
+      .join("; ");
+  }
+  return String(value);
+}
+
+function listInitiativeKeys() {
+  const root = getProjectRoot();
+  const initiativesPath = root && join(root, "_bmad-output", "initiatives");
+  if (!initiativesPath || !existsSync(initiativesPath)) return [];
+  return readdirSync(initiativesPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && initiativeExists(entry.name))
+    .map(entry => entry.name);
+}
+
+function getStepStartedAt(state) {
+  // The current step starts when the initiative is created, advances into it, or is reopened at it
+  let startedAt = null;
+  for (const event of state.history) {
+    if (event.type === "initiative_created"
+      || (event.type === "step_advanced" && event.details?.to === state.currentStep)
+      || (event.type === "signoffs_reopened" && event.step === state.currentStep)) {
+      startedAt = event.at;
+    }
+  }
+  return startedAt;
+}
+
+function formatAge(since, now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((now - Date.parse(since)) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function summarizeInitiative(state, governance, { refresh } = {}) {
+  const complete = state.phase === "complete";
+  const active = state.artifacts[state.currentStep];
+  const status = complete ? "complete" : active.status;
+  
+  // Blocking groups come from the last recorded signoff check, or from the PR itself when refreshing
+  let groups = active.required_groups.map(group => ({
+    group,
+    status: active.signoffs[group]?.status || "pending",
+    approvers: active.signoffs[group]?.approvers || [],
+  }));
+  if (refresh && !complete && active.pr_number && ["in_review", "changes_requested"].includes(active.status)) {
+    // A PR that cannot be read leaves the last recorded check in place
+    let pr = null;
+    try {
+      pr = getPullRequest(active.pr_number);
+    } catch {}
+    if (pr) groups = evaluateSignoffs(pr, governance, active.required_groups, state.currentStep, getCarriedApprovals(active, pr)).groups;
+  }
+  const underReview = ["in_review", "changes_requested"].includes(status);
+  const blocking = underReview ? groups.filter(group => group.status !== "approved") : [];
+  
+  // Once a group has requested changes the author has the next move, so its leads are not pending
+  const awaiting = status !== "in_review" ? [] : blocking.filter(group => group.status !== "changes_requested");
+  const pendingLeads = [...new Set(awaiting
+    .flatMap(group => (governance?.groups?.[group.group]?.leads.github_users || []).filter(lead => !group.approvers.includes(lead))))];
+  
+  // Reviewers have been waiting since the PR was last opened or resubmitted
+  const reviewRequests = state.history.filter(event => event.step === state.currentStep && ["pr_opened", "resubmitted"].includes(event.type));
+  
+  return {
+    key: state.key,
+    title: state.title,
+    currentStep: state.currentStep,
+    status,
+    prUrl: underReview ? active.pr_url : "",
+    startedAt: complete ? null : getStepStartedAt(state),
+    blocking: blocking.map(group => group.group),
+    awaiting: awaiting.map(group => ({ group: group.group, approvers: group.approvers })),
+    pendingLeads,
+    waitingSince: status === "in_review" ? reviewRequests[reviewRequests.length - 1]?.at || null : null,
+    tickets: active.tickets,
+    artifacts: getInitiativeSteps(state).map(step => ({ step, status: state.artifacts[step].status })),
+  };
+}
+
+function startArtifactStep(key, step) {
+  const template = formatTemplatePath(getTemplatePath(step, getStepRole(loadInitiativeState(key), step)));
+  const artifactPath = createArtifact(key, step);
+  setArtifactActive(key, step, { status: "draft" });
+  recordHistory(key, {
+    type: "artifact_generated",
+    step,
+    details: { path: relative(getProjectRoot(), artifactPath), template },
+  });
+  const groups = loadInitiativeState(key).artifacts[step].required_groups;
+  appendTimeline(key, {
+    title: `${step.toUpperCase()} Step Started`,
+    content: `- **Phase:** planning\n- **Step:** ${step}\n- **Action:** Generated from template ${template}\n- **Required groups:** ${groups.join(", ")}`,
+  });
+  return artifactPath;
+}
+
+function runGit(args) {
+  return execFileSync("git", args, { cwd: getProjectRoot(), encoding: "utf-8", stdio: "pipe" }).trim();
+}
+
+function runGh(args) {
+  return execFileSync("gh", args, { cwd: getProjectRoot(), encoding: "utf-8", stdio: "pipe" }).trim();
+}
+
+function getPullRequest(ref) {
+  try {
+    const result = runGh(["pr", "view", String(ref), "--json", "number,url,state,mergedAt,headRefName,headRefOid,commits,reviews"]);
+    return JSON.parse(result);
+  } catch (error) {
+    // Only a PR that does not exist is null; a gh failure (auth, network, rate limit) must not read as "no PR"
+    const message = error.stderr?.trim() || error.message;
+    if (/no pull requests found|could not resolve to a pullrequest/i.test(message)) return null;
+    throw new Error(`Could not read pull request ${ref}: ${message}`);
+  }
+}
+
+function listUnresolvedReviewThreads(prUrl) {
+  // gh pr view does not say whether a review thread is resolved, so ask the GraphQL API
+  const match = prUrl.match(/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+  if (!match) return null;
+  const query = `query($owner: String!, $name: String!, $number: Int!) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100) {
+          nodes { isResolved isOutdated path line comments(first: 1) { nodes { author { login } body url } } }
+        }
+      }
+    }
+  }`;
+  try {
+    const result = JSON.parse(runGh(["api", "graphql", "-f", `query=${query}`, "-f", `owner=${match[1]}`, "-f", `name=${match[2]}`, "-F", `number=${match[3]}`]));
+    return result.data.repository.pullRequest.reviewThreads.nodes
+      .filter(thread => !thread.isResolved)
+      .map(thread => {
+        const comment = thread.comments.nodes[0] || {};
+        return { path: thread.path, line: thread.line, outdated: thread.isOutdated, author: comment.author?.login || "", body: comment.body || "", url: comment.url || prUrl };
+      });
+  } catch {
+    return null;
+  }
+}
+
+function listRequestedSignoffReviews() {
+  // Signoff PRs of this repository where the authenticated user's review is still requested
+  try {
+    const prs = JSON.parse(runGh(["pr", "list", "--search", "review-requested:@me", "--state", "open", "--json", "number,title,url,headRefName,createdAt"]));
+    return prs.filter(pr => pr.headRefName.startsWith("bmad/"));
+  } catch {
+    return null;
+  }
+}
+
+function getDefaultBranch() {
+  try {
+    const name = runGh(["repo", "view", "--json", "defaultBranchRef", "-q", ".defaultBranchRef.name"]);
+    if (name) return name;
+  } catch {}
+  try {
+    return runGit(["symbolic-ref", "--short", "refs/remotes/origin/HEAD"]).replace(/^origin\//, "");
+  } catch {
+    return "main";
+  }
+}
+
+function checkoutBaseBranch(key) {
+  const base = getDefaultBranch();
+  const initiative = relative(getProjectRoot(), getInitiativePath(key));
+  let stashed = false;
+  try {
+    // Records written since the last commit (review events, tickets, history) are stashed across the switch, not dropped
+    if (runGit(["status", "--porcelain", "--", initiative])) {
+      runGit(["stash", "push", "--include-untracked", "-m", `signoff ${key}: uncommitted records`, "--", initiative]);
+      stashed = true;
+    }
+    runGit(["checkout", base]);
+    runGit(["pull", "--ff-only", "origin", base]);
+  } catch (error) {
+    const message = error.stderr?.trim() || error.message;
+    if (stashed && !restoreStashedRecords(initiative)) {
+      return { success: false, error: `${message}\n\nThe initiative's uncommitted records are kept in \`git stash\`.` };
+    }
+    return { success: false, error: message };
+  }
+  
+  if (stashed && !restoreStashedRecords(initiative)) {
+    return { success: false, error: `The initiative's uncommitted records could not be re-applied on ${base}; they are kept in \`git stash\`.` };
+  }
+  return { success: true, branch: base };
+}
+
+function restoreStashedRecords(path) {
+  try {
+    runGit(["stash", "pop"]);
+    return true;
+  } catch {}
+  // A conflict means the merged branch changed the same files; the stashed records are the newer ones
+  try {
+    runGit(["checkout", "stash@{0}", "--", path]);
+    runGit(["reset", "-q", "--", path]);
+    runGit(["stash", "drop"]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function commitInitiative(key, message) {
+  // Only the initiative's own files: governance changes go to the default branch on their own, not through a signoff PR
+  runGit(["add", "--", relative(getProjectRoot(), getInitiativePath(key))]);
+  try {
+    runGit(["diff", "--cached", "--quiet"]);
+    return false;
+  } catch {
+    runGit(["commit", "-m", message]);
+    return true;
+  }
+}
+
+function getStepReviewers(groups) {
+  const governance = loadGovernance();
+  const me = getGhUser();
+  const reviewers = new Set();
+  for (const group of groups) {
+    for (const lead of governance?.groups?.[group]?.leads?.github_users || []) {
+      if (lead && lead !== me) reviewers.add(lead);
+    }
+  }
+  return [...reviewers];
+}
+
+function requestReviewers(prRef, logins) {
+  // Request reviewers one by one so a single unknown login does not fail the rest
+  const reviewers = [];
+  const failedReviewers = [];
+  for (const login of logins) {
+    try {
+      runGh(["pr", "edit", String(prRef), "--add-reviewer", login]);
+      reviewers.push(login);
+    } catch {
+      failedReviewers.push(login);
+    }
+  }
+  return { reviewers, failedReviewers };
+}
+
+function startRevision(key, step, prUrl) {
+  const artifact = loadInitiativeState(key).data.artifacts[step];
+  const revisions = artifact.revisions || [];
+  const revision = (artifact.active?.revision || 0) + 1;
+  const now = new Date().toISOString();
+  
+  updateInitiativeState(key, doc => {
+    setYamlValue(doc, ["artifacts", step, "active", "revision"], revision);
+    // Earlier revisions keep their record but no longer count
+    setYamlValue(doc, ["artifacts", step, "revisions"], [
+      ...revisions.map(entry => (entry.status === "superseded" ? entry : { ...entry, status: "superseded", superseded_at: now })),
+      { revision, status: "in_review", pr_url: prUrl, submitted_at: now },
+    ]);
+  });
+  
+  return revision;
+}
+
+function getRule(governance, step, name) {
+  const rules = governance?.signoff_rules || {};
+  return rules[step]?.[name] ?? rules.defaults?.[name];
+}
+
+function openArtifactPullRequest(key, step, commitMessage) {
+  const state = loadInitiativeState(key);
+  const active = state.artifacts[step] || {};
+  const branch = active.branch || `bmad/${key}/${step}`;
+  const label = `[BMAD][${key}][${step}]`;
+  const title = active.title || step;
+  
+  try {
+    const base = getDefaultBranch();
+    const currentBranch = runGit(["rev-parse", "--abbrev-ref", "HEAD"]);
+    const existing = getPullRequest(branch);
+    // A branch whose PR was merged belongs to an earlier signoff (a reopened step); start it over from here
+    const restart = existing?.state === "MERGED";
+    if (currentBranch !== branch) {
+      // Uncommitted artifact and state changes carry over to the step branch
+      let branchExists = true;
+      try {
+        runGit(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`]);
+      } catch {
+        branchExists = false;
+      }
+      runGit(branchExists && !restart ? ["checkout", branch] : ["checkout", "-B", branch]);
+    }
+    
+    commitInitiative(key, `${label} ${commitMessage || `Submit ${title} for signoff`}`);
+    runGit(["push", "-u", ...(restart ? ["--force"] : []), "origin", branch]);
+    
+    if (existing && existing.state === "OPEN") {
+      return { success: true, created: false, branch, head: runGit(["rev-parse", "HEAD"]), pr: existing, reviewers: [], failedReviewers: [] };
+    }
+    
+    const groups = active.required_groups;
+    const body = `BMAD signoff requested (lead-only).\n\n` +
+      `**Initiative:** ${key} — ${state.title || ""}\n` +
+      `**Artifact:** ${title}\n` +
+      `**Required groups:** ${groups.join(", ")}\n\n` +
+      `Leads of each required group: approve this PR to sign off. ` +
+      `Merge it once every group has approved, then run \`signoff_advance\`.`;
+    const url = runGh([
+      "pr", "create",
+      "--base", base,
+      "--head", branch,
+      "--title", `${label} ${title} signoff`,
+      "--body", body,
+    ]).split("\n").pop();
+    const number = Number(url.match(/\/pull\/(\d+)/)?.[1]) || null;
+    
+    const { reviewers, failedReviewers } = requestReviewers(number || url, getStepReviewers(active.required_groups));
+    
+    setArtifactActive(key, step, { pr_url: url, pr_number: number, status: "in_review" });
+    const revision = startRevision(key, step, url);
+    recordHistory(key, {
+      type: "pr_opened",
+      step,
+      details: { pr_url: url, pr_number: number, branch, revision, reviewers },
+    });
+    
+    appendTimeline(key, {
+      title: `${title} Submitted for Signoff`,
+      content: `- **Step:** ${step}\n- **Branch:** ${branch}\n- **PR:** ${url}\n- **Reviewers requested:** ${reviewers.join(", ") || "none"}`,
+    });
+    
+    commitInitiative(key, `${label} Record signoff PR`);
+    runGit(["push", "origin", branch]);
+    
+    return { success: true, created: true, branch, head: runGit(["rev-parse", "HEAD"]), pr: { url, number }, reviewers, failedReviewers };
+  } catch (error) {
+    return { success: false, branch, error: error.stderr?.trim() || error.message };
+  }
+}
+
+function formatPullRequestResult(key, step, opened) {
+  if (!opened.success) {
+    return `❌ Could not open the signoff PR for ${step.toUpperCase()} on branch \`${opened.branch}\`:\n\n${opened.error}`;
+  }
+  
+  let result = opened.created
+    ? `✅ Signoff PR opened!\n\n`
+    : `✅ Signoff PR updated with the latest changes.\n\n`;
+  result += `**Initiative:** ${key}\n`;
+  result += `**Step:** ${step.toUpperCase()}\n`;
+  result += `**Branch:** ${opened.branch}\n`;
+  result += `**PR:** ${opened.pr.url}\n`;
+  if (opened.created) {
+    result += `**Reviewers requested:** ${opened.reviewers.join(", ") || "none"}\n`;
+    if (opened.failedReviewers.length > 0) {
+      result += `⚠️ Could not request review from: ${opened.failedReviewers.join(", ")}\n`;
+    }
+  }
+  result += `\n**Next steps:**\n`;
+  result += `1. Create Jira tickets with \`signoff_create_jira_tickets\`\n`;
+  result += `2. Wait for the leads to approve the PR, then merge it\n`;
+  result += `3. Run \`signoff_advance\` again`;
+  return result;
+}
+
+function getQuorum(governance, step, group) {
+  const rules = governance?.signoff_rules || {};
+  return rules[step]?.quorum?.[group] ?? rules.defaults?.quorum?.[group] ?? "any";
+}
+
+function requiredApprovals(quorum, leadCount) {
+  if (quorum === "all") return leadCount;
+  if (quorum === "any") return Math.min(1, leadCount);
+  return quorum;
+}
+
+function isStaleReview(review, pr) {
+  // A review is stale when it was made against an older head than the PR has now
+  if (review.commit?.oid && pr.headRefOid) return review.commit.oid !== pr.headRefOid;
+  const lastCommit = pr.commits?.[pr.commits.length - 1];
+  const pushedAt = lastCommit?.committedDate || lastCommit?.authoredDate;
+  return Boolean(pushedAt) && new Date(review.submittedAt) < new Date(pushedAt);
+}
+
+function getCarriedApprovals(active, pr) {
+  // Kept approvals cover only the rework push they were carried across; any later push needs fresh reviews
+  return active.carried_head && active.carried_head === pr?.headRefOid ? active.carried_approvals || {} : {};
+}
+
+function evaluateSignoffs(pr, governance, groups, step, carriedApprovals = {}) {
+  // Only the latest approving/blocking review of each user counts, like GitHub's own review summary
+  const latestByUser = {};
+  for (const review of pr?.reviews || []) {
+    const login = review.author?.login;
+    if (!login || review.state === "COMMENTED" || review.state === "PENDING") continue;
+    const previous = latestByUser[login];
+    if (!previous || new Date(review.submittedAt) >= new Date(previous.submittedAt)) {
+      latestByUser[login] = { ...review, stale: isStaleReview(review, pr) };
+    }
+  }
+  
+  const results = [];
+  for (const group of groups) {
+    const leads = governance?.groups?.[group]?.leads?.github_users || [];
+    const quorum = getQuorum(governance, step, group);
+    const required = requiredApprovals(quorum, leads.length);
+    // Approvals carried over from before a rework push still count when the rules allow it
+    const carried = carriedApprovals[group] || [];
+    const reviews = leads.map(lead => {
+      const review = latestByUser[lead] || null;
+      if (review?.state === "APPROVED" && review.stale && carried.includes(lead)) {
+        return { login: lead, review: { ...review, stale: false, carried: true } };
+      }
+      return { login: lead, review };
+    });
+    
+    const approvers = reviews.filter(r => r.review?.state === "APPROVED" && !r.review.stale).map(r => r.login);
+    const staleApprovers = reviews.filter(r => r.review?.state === "APPROVED" && r.review.stale).map(r => r.login);
+    const changesRequestedBy = reviews.filter(r => r.review?.state === "CHANGES_REQUESTED").map(r => r.login);
+    const dismissedBy = reviews.filter(r => r.review?.state === "DISMISSED").map(r => r.login);
+    const pending = leads.filter(lead => !approvers.includes(lead));
+    const satisfied = leads.length > 0 && approvers.length >= required && changesRequestedBy.length === 0;
+    
+    let status = "pending";
+    if (changesRequestedBy.length > 0) status = "changes_requested";
+    else if (satisfied) status = "approved";
+    else if (dismissedBy.length > 0 && approvers.length === 0) status = "dismissed";
+    
+    const timestamps = reviews.map(r => r.review?.submittedAt).filter(Boolean).sort();
+    
+    results.push({
+      group,
+      leads,
+      quorum,
+      required,
+      status,
+      approvers,
+      staleApprovers,
+      changesRequestedBy,
+      dismissedBy,
+      pending,
+      reviews,
+      updatedAt: timestamps[timestamps.length - 1] || null,
+      satisfied,
+    });
+  }
+  
+  const allLeads = new Set(Object.values(governance?.groups || {}).flatMap(g => g.leads.github_users));
+  const ignoredApprovers = Object.values(latestByUser)
+    .filter(review => review.state === "APPROVED" && !allLeads.has(review.author.login))
+    .map(review => review.author.login);
+  
+  return {
+    groups: results,
+    approved: results.filter(result => result.satisfied),
+    missing: results.filter(result => !result.satisfied),
+    ignoredApprovers,
+  };
+}
+
+function getLeadGroups(governance, login) {
+  return Object.entries(governance?.groups || {})
+    .filter(([, group]) => group.leads.github_users.includes(login))
+    .map(([name]) => name);
+}
+
+function recordSignoffs(key, step, signoffs) {
+  const checkedAt = new Date().toISOString();
+  updateInitiativeState(key, doc => {
+    for (const group of signoffs.groups) {
+      setYamlValue(doc, ["artifacts", step, "signoffs", group.group], {
+        status: group.status,
+        approvers: group.approvers,
+        required: group.required,
+        updated_at: group.updatedAt || "",
+        checked_at: checkedAt,
+      });
+    }
+  });
+}
+
+function formatSignoffProgress(result) {
+  const noun = result.required === 1 ? "approval" : "approvals";
+  let text = `${result.approvers.length} of ${result.required} required ${formatGroupName(result.group)} ${noun}`;
+  if (result.approvers.length > 0) text += ` (${result.approvers.join(", ")})`;
+  if (result.changesRequestedBy.length > 0) text += ` — changes requested by ${result.changesRequestedBy.join(", ")}`;
+  if (result.leads.length === 0) text += " — no leads configured";
+  return text;
+}
+
+function hashArtifact(key, step) {
+  const path = getArtifactPath(key, step);
+  if (!existsSync(path)) return "";
+  // Line endings differ between checkouts; they are not a content change
+  const content = readFileSync(path, "utf-8").replace(/\r\n/g, "\n");
+  return createHash("sha256").update(content).digest("hex");
+}
+
+function getUpstreamSteps(state, step) {
+  const steps = getInitiativeSteps(state);
+  return state.artifacts[step]?.depends_on || steps.slice(0, steps.indexOf(step));
+}
+
+function recordSignoffHashes(key, step) {
+  const state = loadInitiativeState(key);
+  const upstream = {};
+  for (const previous of getUpstreamSteps(state, step)) {
+    upstream[previous] = hashArtifact(key, previous);
+  }
+  updateInitiativeState(key, doc => {
+    setYamlValue(doc, ["artifacts", step, "signed_off"], {
+      at: new Date().toISOString(),
+      hash: hashArtifact(key, step),
+      upstream,
+    });
+  });
+}
+
+function findStaleSignoffs(key) {
+  const state = loadInitiativeState(key);
+  const hashes = {};
+  const currentHash = step => (hashes[step] ??= hashArtifact(key, step));
+  
+  const stale = [];
+  for (const step of getInitiativeSteps(state)) {
+    const artifact = state.artifacts[step];
+    if (artifact.status !== "approved" || !artifact.signed_off) continue;
+    
+    const changed = [];
+    if (artifact.signed_off.hash !== currentHash(step)) changed.push(step);
+    for (const [upstream, hash] of Object.entries(artifact.signed_off.upstream || {})) {
+      if (state.artifacts[upstream] && hash !== currentHash(upstream)) changed.push(upstream);
+    }
+    if (changed.length > 0) stale.push({ step, changed });
+  }
+  return stale;
+}
+
+function formatStaleSignoffs(stale) {
+  return stale.map(({ step, changed }) => {
+    const reasons = changed.map(upstream => (upstream === step ? "edited after signoff" : `${upstream.toUpperCase()} changed`));
+    return `- ⚠️ **${step.toUpperCase()}** — ${reasons.join(", ")}\n`;
+  }).join("");
+}
+
+function resetStepSignoff(doc, state, step, reason, now) {
+  // Back to draft without a PR, so the next signoff_advance opens a new one as a new revision
+  setYamlValue(doc, ["artifacts", step, "active", "status"], "draft");
+  setYamlValue(doc, ["artifacts", step, "active", "pr_url"], "");
+  setYamlValue(doc, ["artifacts", step, "active", "pr_number"], null);
+  doc.deleteIn(["artifacts", step, "active", "carried_approvals"]);
+  doc.deleteIn(["artifacts", step, "active", "carried_head"]);
+  doc.deleteIn(["artifacts", step, "signed_off"]);
+  doc.deleteIn(["artifacts", step, "signoffs"]);
+  
+  const revisions = state.data.artifacts[step].revisions || [];
+  if (revisions.length > 0) {
+    setYamlValue(doc, ["artifacts", step, "revisions", revisions.length - 1, "status"], "superseded");
+    setYamlValue(doc, ["artifacts", step, "revisions", revisions.length - 1, "superseded_at"], now);
+    setYamlValue(doc, ["artifacts", step, "revisions", revisions.length - 1, "reason"], reason);
+  }
+}
+
+function reopenStaleSignoffs(key, stale) {
+  const state = loadInitiativeState(key);
+  const steps = getInitiativeSteps(state);
+  const reopened = stale.map(entry => entry.step).sort((a, b) => steps.indexOf(a) - steps.indexOf(b));
+  const now = new Date().toISOString();
+  
+  updateInitiativeState(key, doc => {
+    for (const { step, changed } of stale) {
+      resetStepSignoff(doc, state, step, `Reopened: ${changed.map(upstream => upstream.toUpperCase()).join(", ")} changed after signoff`, now);
+    }
+    // The earliest reopened step goes first; later steps are picked up again as the initiative advances
+    setYamlValue(doc, ["current_step"], reopened[0]);
+    setYamlValue(doc, ["phase"], "planning");
+  });
+  recordHistory(key, stale.map(({ step, changed }) => ({
+    type: "signoffs_reopened",
+    step,
+    details: { changed },
+  })));
+  
+  appendTimeline(key, {
+    title: "Stale Signoffs Reopened",
+    content: stale.map(({ step, changed }) => `- **${step}:** ${changed.join(", ")} changed after signoff`).join("\n") +
+      `\n- **Transition:** → ${reopened[0]}`,
+  });
+  
+  return reopened;
+}
+
+function reopenMergedStep(key, step, pr, missing) {
+  // The PR was merged before every group signed off, so it can no longer collect the missing approvals
+  const state = loadInitiativeState(key);
+  const groups = missing.map(group => group.group);
+  
+  updateInitiativeState(key, doc => {
+    resetStepSignoff(doc, state, step, `Reopened: ${pr.url} was merged without signoff from ${groups.join(", ")}`, new Date().toISOString());
+  });
+  recordHistory(key, {
+    type: "signoffs_reopened",
+    step,
+    details: { merged_pr: pr.url, missing: groups },
+  });
+  
+  appendTimeline(key, {
+    title: `${step.toUpperCase()} Reopened After Early Merge`,
+    content: `- **Step:** ${step}\n- **Merged PR:** ${pr.url}\n- **Missing signoffs:** ${groups.join(", ")}`,
+  });
+}
+
+// ==================== Jira ====================
+
+const JIRA_TIMEOUT_MS = 15000;
+
+function getJiraConfig(governance) {
+  // The API token is personal, so it only comes from the environment; the site URL can be shared in governance.yaml
+  const baseUrl = process.env.JIRA_BASE_URL || governance?.jira?.base_url;
+  const token = process.env.JIRA_API_TOKEN;
+  if (!baseUrl || !token) return null;
+  return { baseUrl: baseUrl.replace(/\/+$/, ""), email: process.env.JIRA_EMAIL || "", token };
+}
+
+function formatJiraError(data) {
+  if (!data || typeof data !== "object") return String(data || "no details");
+  const messages = [
+    ...(data.errorMessages || []),
+    ...Object.entries(data.errors || {}).map(([field, message]) => `${field}: ${message}`),
+  ];
+  return messages.join("; ") || JSON.stringify(data);
+}
+
+async function jiraRequest(config, method, path, body) {
+  // Jira Cloud takes email + API token; a token without an email is a Server/Data Center personal access token
+  const authorization = config.email
+    ? `Basic ${Buffer.from(`${config.email}:${config.token}`).toString("base64")}`
+    : `Bearer ${config.token}`;
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: authorization,
+      Accept: "application/json",
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(JIRA_TIMEOUT_MS),
+  });
+  
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text;
+  }
+  if (!response.ok) {
+    const error = new Error(`Jira ${method} ${path} failed (${response.status}): ${formatJiraError(data)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+async function getJiraIssue(config, key) {
+  try {
+    return await jiraRequest(config, "GET", `/rest/api/2/issue/${encodeURIComponent(key)}?fields=summary,status`);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+function getJiraStatusNames(governance) {
+  return {
+    done: governance?.jira?.statuses?.done || "Done",
+    in_progress: governance?.jira?.statuses?.in_progress || "In Progress",
+  };
+}
+
+async function transitionJiraIssue(config, key, status) {
+  const { transitions } = await jiraRequest(config, "GET", `/rest/api/2/issue/${encodeURIComponent(key)}/transitions`);
+  const wanted = status.toLowerCase();
+  const transition = (transitions || []).find(t => t.to?.name?.toLowerCase() === wanted || t.name?.toLowerCase() === wanted);
+  if (!transition) return false;
+  await jiraRequest(config, "POST", `/rest/api/2/issue/${encodeURIComponent(key)}/transitions`, { transition: { id: transition.id } });
+  return true;
+}
+
+function createJiraTracker(governance) {
+  const config = getJiraConfig(governance);
+  const statuses = getJiraStatusNames(governance);
+  
+  return {
+    name: "jira",
+    label: "Jira",
+    ready: Boolean(config),
+    setupHint: "Set `JIRA_BASE_URL` and `JIRA_API_TOKEN` (plus `JIRA_EMAIL` for Jira Cloud).",
+    location: config ? `${config.baseUrl} (project ${governance?.jira?.project_key || "UNKNOWN"})` : "",
+    statusNames: statuses,
+    
+    async findTicket(key) {
+      const issue = await getJiraIssue(config, key);
+      if (!issue) return null;
+      const name = issue.fields?.status?.name || "";
+      let status = "todo";
+      if (name.toLowerCase() === statuses.done.toLowerCase() || issue.fields?.status?.statusCategory?.key === "done") {
+        status = "done";
+      } else if (name.toLowerCase() === statuses.in_progress.toLowerCase()) {
+        status = "in_progress";
+      }
+      return { key: issue.key, status, statusName: name };
+    },
+    
+    async createTicket(ticket) {
+      // A Jira issue has one assignee; the group's other leads follow it as watchers
+      const [assignee, ...watchers] = ticket.assignees;
+      const issue = await jiraRequest(config, "POST", "/rest/api/2/issue", {
+        fields: {
+          project: { key: ticket.project },
+          issuetype: { name: ticket.issueType },
+          summary: ticket.summary,
+          description: ticket.description,
+          labels: ticket.labels,
+          ...(assignee ? { assignee: { accountId: assignee } } : {}),
+        },
+      });
+      
+      const warnings = [];
+      for (const watcher of watchers) {
+        try {
+          await jiraRequest(config, "POST", `/rest/api/2/issue/${issue.key}/watchers`, watcher);
+        } catch (error) {
+          warnings.push(`could not add watcher ${watcher}: ${error.message}`);
+        }
+      }
+      return { key: issue.key, url: `${config.baseUrl}/browse/${issue.key}`, assignedTo: assignee ? [assignee] : [], warnings };
+    },
+    
+    moveTicket: (ticket, status) => transitionJiraIssue(config, ticket.key, statuses[status]),
+    
+    async commentTicket(ticket, body) {
+      await jiraRequest(config, "POST", `/rest/api/2/issue/${encodeURIComponent(ticket.key)}/comment`, { body });
+    },
+  };
+}
+
+function getPendingSignoffTickets(key, state, step, governance, prUrl = state.artifacts[step].pr_url) {
+  // Skip groups that already signed off or already have a ticket, so an import never duplicates one
+  const artifact = state.artifacts[step];
+  if (artifact.status === "approved") return [];
+  const groups = artifact.required_groups.filter(group => artifact.signoffs[group]?.status !== "approved" && !artifact.tickets[group]);
+  return buildSignoffTickets(key, step, groups, governance, prUrl);
+}
+
+function formatCsvRow(values) {
+  return values.map(value => `"${String(value ?? "").replace(/"/g, '""')}"`).join(",");
+}
+
+function writeCsvFile(path, header, rows) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, [header, ...rows].map(formatCsvRow).join("\r\n") + "\r\n");
+}
+
+function writeSignoffTicketsCsv(path, tickets) {
+  // Jira's CSV importer reads repeated "Labels" columns as one multi-value field
+  const labelColumns = Math.max(1, ...tickets.map(ticket => ticket.labels.length));
+  const header = ["Summary", "Project", "Issue Type", ...Array(labelColumns).fill("Labels"), "Description", "Assignee"];
+  const rows = tickets.map(ticket => [
+    ticket.summary,
+    ticket.project,
+    ticket.issueType,
+    ...Array.from({ length: labelColumns }, (_, index) => ticket.labels[index] || ""),
+    ticket.description,
+    ticket.assignees[0] || "",
+  ]);
+  writeCsvFile(path, header, rows);
+}
+
+function formatCsvExport(path, tickets) {
+  let result = `✅ Jira import file written\n\n`;
+  result += `**File:** ${displayPath(path)}\n`;
+  result += `**Tickets:** ${tickets.length}\n`;
+  for (const ticket of tickets) {
+    result += `- \`${ticket.summary}\`${ticket.assignees[0] ? "" : " (unassigned)"}\n`;
+  }
+  result += `\nImport it in Jira under **System → External System Import → CSV**, mapping each column to the field of the same name.`;
+  return result;
+}
+
+function getExportPath(key, name) {
+  return join(getInitiativePath(key), "exports", name);
+}
+
+async function findJiraAccountId(config, email) {
+  const users = await jiraRequest(config, "GET", `/rest/api/2/user/search?query=${encodeURIComponent(email)}`);
+  const active = (users || []).filter(user => user.active !== false);
+  const exact = active.filter(user => user.emailAddress?.toLowerCase() === email.toLowerCase());
+  const matches = exact.length > 0 ? exact : active;
+  if (matches.length === 1) return { accountId: matches[0].accountId };
+  return { error: matches.length === 0 ? `no Jira user found for ${email}` : `${matches.length} Jira users match ${email}` };
+}
+
+function getGitHubEmail(login) {
+  try {
+    return runGh(["api", `users/${login}`, "-q", ".email"]) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function resolveJiraAccounts(governance, { emails = {}, accounts = {} } = {}) {
+  const config = getJiraConfig(governance);
+  const known = governance.jira?.accounts || {};
+  const leads = [...new Set(Object.values(governance.groups).flatMap(group => group.leads.github_users))];
+  const matched = [];
+  const unmatched = [];
+  
+  for (const login of leads) {
+    // An explicit mapping wins, then a given email, then what governance.yaml already knows, then the public GitHub email
+    if (accounts[login]) {
+      matched.push({ login, accountId: accounts[login], source: "mapping" });
+      continue;
+    }
+    if (!emails[login] && known[login]) {
+      matched.push({ login, accountId: known[login], source: "governance.yaml" });
+      continue;
+    }
+    if (!config) {
+      unmatched.push({
+        login,
+        reason: emails[login] ? `Jira is not configured, so ${emails[login]} cannot be looked up` : "Jira is not configured and no account ID was given",
+      });
+      continue;
+    }
+    const email = emails[login] || getGitHubEmail(login);
+    if (!email) {
+      unmatched.push({ login, reason: "no email given and none public on GitHub" });
+      continue;
+    }
+    try {
+      const found = await findJiraAccountId(config, email);
+      if (found.accountId) {
+        matched.push({ login, accountId: found.accountId, source: email });
+      } else {
+        unmatched.push({ login, reason: found.error });
+      }
+    } catch (error) {
+      unmatched.push({ login, reason: error.message });
+    }
+  }
+  
+  const ignored = [...new Set([...Object.keys(emails), ...Object.keys(accounts)])].filter(login => !leads.includes(login));
+  return { matched, unmatched, ignored };
+}
+
+function saveJiraAccounts(governance, matched) {
+  const accounts = { ...(governance.jira?.accounts || {}) };
+  for (const { login, accountId } of matched) accounts[login] = accountId;
+  
+  const unresolved = [];
+  updateYamlFile(getGovernancePath(), GOVERNANCE_SCHEMA, doc => {
+    setYamlValue(doc, ["jira", "accounts"], accounts);
+    // jira_account_ids lines up with the group's GitHub leads; a lead without an account keeps an empty entry
+    for (const [name, group] of Object.entries(governance.groups)) {
+      // Groups without any mapped lead keep whatever was entered by hand
+      if (!group.leads.github_users.some(login => accounts[login])) continue;
+      const ids = group.leads.github_users.map((login, index) => accounts[login] || group.leads.jira_account_ids[index] || "");
+      setYamlValue(doc, ["groups", name, "leads", "jira_account_ids"], ids);
+      const missing = group.leads.github_users.filter((login, index) => !ids[index]);
+      if (missing.length > 0) unresolved.push({ group: name, logins: missing });
+    }
+  });
+  return unresolved;
+}
+
+function formatUnresolvedLeads(unresolved) {
+  if (unresolved.length === 0) return "";
+  let result = `
+**Leads without a Jira account ID** (left empty in \`jira_account_ids\`; their tickets go to the other leads):
+`;
+  for (const { group, logins } of unresolved) {
+    result += `- ${formatGroupName(group)}: ${logins.join(", ")}
+`;
+  }
+  return result;
+}
+
+function formatJiraAccounts(resolution) {
+  let result = `**Jira accounts:**\n`;
+  for (const { login, accountId, source } of resolution.matched) {
+    result += `- ✅ ${login} → ${accountId} (${source})\n`;
+  }
+  for (const { login, reason } of resolution.unmatched) {
+    result += `- ❌ ${login} — ${reason}\n`;
+  }
+  if (resolution.ignored.length > 0) {
+    result += `- ⚠️ Not a lead of any group, ignored: ${resolution.ignored.join(", ")}\n`;
+  }
+  if (resolution.unmatched.length > 0) {
+    result += `\nPass \`lead_emails\` or \`jira_accounts\` for the unmatched leads to \`signoff_resolve_jira_accounts\`.\n`;
+  }
+  return result;
+}
+
+// ==================== Trackers ====================
+
+// A tracker holds the signoff tickets. Each implementation provides:
+//   ready / setupHint / label / location / statusNames
+//   findTicket(key)              -> { key, status: "todo" | "in_progress" | "done", statusName } or null
+//   createTicket(ticket)         -> { key, url, assignedTo, warnings }
+//   moveTicket(found, status)    -> false when the tracker cannot reach that status
+//   commentTicket(found, body)
+
+const GITHUB_CHANGES_LABEL = "changes-requested";
+
+function getTracker(governance) {
+  return governance?.tracker === "github" ? createGitHubTracker() : createJiraTracker(governance);
+}
+
+function buildSignoffTickets(key, artifact, groups, governance, prUrl) {
+  return groups.map(group => {
+    const leadCount = governance?.groups?.[group]?.leads?.github_users?.length || 0;
+    const required = requiredApprovals(getQuorum(governance, artifact, group), leadCount);
+    const action = leadCount > 1
+      ? `Approve the PR to sign off (${required} of ${leadCount} ${formatGroupName(group)} leads must approve).`
+      : "Approve the PR to sign off.";
+    
+    return {
+      group,
+      summary: `[BMAD][${key}][${artifact}] Signoff required — ${group.toUpperCase()}`,
+      project: governance?.jira?.project_key || "UNKNOWN",
+      issueType: governance?.jira?.issue_types?.signoff_request || "Task",
+      labels: ["bmad", `initiative-${key}`, `artifact-${artifact}`, `group-${group}`],
+      description: `BMAD signoff requested (lead-only).\n\nInitiative: ${key}\nArtifact: ${artifact.toUpperCase()}\nGroup: ${group.toUpperCase()}\n\nPR: ${prUrl || "(pending)"}\n\nAction: ${action}`,
+      // Empty entries stand for leads without a Jira account
+      assignees: (governance?.groups?.[group]?.leads?.jira_account_ids || []).filter(Boolean),
+      leads: governance?.groups?.[group]?.leads?.github_users || [],
+    };
+  });
+}
+
+function createGitHubTracker() {
+  const gh = args => {
+    try {
+      return runGh(args);
+    } catch (error) {
+      throw new Error(error.stderr?.trim() || error.message);
+    }
+  };
+  const knownLabels = new Set();
+  const ensureLabels = labels => {
+    // gh refuses to add labels the repository doesn't have yet; an existing label just fails to be created again
+    for (const label of labels) {
+      if (knownLabels.has(label)) continue;
+      try {
+        runGh(["label", "create", label, "--color", "ededed"]);
+      } catch {}
+      knownLabels.add(label);
+    }
+  };
+  
+  return {
+    name: "github",
+    label: "GitHub Issues",
+    ready: commandExists("gh") && isGhAuthenticated(),
+    setupHint: "gh CLI is not ready. Use `signoff_check_setup` first.",
+    location: "issues of this repository",
+    statusNames: { done: "closed", in_progress: `open (${GITHUB_CHANGES_LABEL})` },
+    
+    async findTicket(key) {
+      let issue;
+      try {
+        issue = JSON.parse(gh(["issue", "view", key.replace(/^#/, ""), "--json", "number,url,state,labels"]));
+      } catch (error) {
+        if (/could not resolve|not found/i.test(error.message)) return null;
+        throw error;
+      }
+      const labels = (issue.labels || []).map(label => label.name);
+      let status = "todo";
+      if (issue.state === "CLOSED") status = "done";
+      else if (labels.includes(GITHUB_CHANGES_LABEL)) status = "in_progress";
+      return { key: `#${issue.number}`, status, statusName: status === "todo" ? "open" : this.statusNames[status] };
+    },
+    
+    async createTicket(ticket) {
+      ensureLabels(ticket.labels);
+      const base = ["issue", "create", "--title", ticket.summary, "--body", ticket.description, ...ticket.labels.flatMap(label => ["--label", label])];
+      const warnings = [];
+      let url;
+      try {
+        url = gh([...base, ...ticket.leads.flatMap(lead => ["--assignee", lead])]);
+      } catch (error) {
+        // Leads without access to the repository cannot be assigned; still open the issue
+        if (ticket.leads.length === 0) throw error;
+        url = gh(base);
+        warnings.push(`could not assign ${ticket.leads.join(", ")}: ${error.message}`);
+      }
+      url = url.split("\n").pop();
+      const number = url.match(/\/issues\/(\d+)$/)?.[1];
+      if (!number) {
+        // Recording "#undefined" would hide the issue from every later lookup, so stop before state.yaml is touched
+        throw new Error(`gh issue create did not print an issue URL (got "${url}"); check the repository's issues before retrying, the issue may exist`);
+      }
+      return { key: `#${number}`, url, assignedTo: warnings.length > 0 ? [] : ticket.leads, warnings };
+    },
+    
+    async moveTicket(found, status) {
+      const number = found.key.replace(/^#/, "");
+      if (status === "done") {
+        if (found.status === "in_progress") gh(["issue", "edit", number, "--remove-label", GITHUB_CHANGES_LABEL]);
+        gh(["issue", "close", number]);
+      } else {
+        ensureLabels([GITHUB_CHANGES_LABEL]);
+        if (found.status === "done") gh(["issue", "reopen", number]);
+        gh(["issue", "edit", number, "--add-label", GITHUB_CHANGES_LABEL]);
+      }
+      return true;
+    },
+    
+    async commentTicket(found, body) {
+      gh(["issue", "comment", found.key.replace(/^#/, ""), "--body", body]);
+    },
+  };
+}
+
+async function createSignoffTickets(tracker, key, artifact, tickets) {
+  const recorded = loadInitiativeState(key).artifacts[artifact]?.tickets || {};
+  const results = [];
+  
+  for (const ticket of tickets) {
+    try {
+      // Re-runs reuse the ticket recorded in state.yaml as long as it still exists in the same tracker
+      const previous = recorded[ticket.group];
+      const existing = previous?.key && (previous.tracker || "jira") === tracker.name && await tracker.findTicket(previous.key);
+      if (existing) {
+        results.push({ ...ticket, key: existing.key, url: previous.url, created: false, warnings: [] });
+        continue;
+      }
+      
+      const created = await tracker.createTicket(ticket);
+      results.push({ ...ticket, ...created, created: true });
+    } catch (error) {
+      results.push({ ...ticket, error: error.message });
+    }
+  }
+  
+  const created = results.filter(result => result.created);
+  if (created.length > 0) {
+    const createdAt = new Date().toISOString();
+    updateInitiativeState(key, doc => {
+      for (const result of created) {
+        setYamlValue(doc, ["artifacts", artifact, "tickets", result.group], {
+          tracker: tracker.name,
+          key: result.key,
+          url: result.url,
+          created_at: createdAt,
+        });
+      }
+    });
+    recordHistory(key, {
+      type: "tickets_created",
+      step: artifact,
+      details: { tracker: tracker.name, tickets: Object.fromEntries(created.map(result => [result.group, result.key])) },
+    });
+    appendTimeline(key, {
+      title: `${artifact.toUpperCase()} Signoff Tickets Created`,
+      content: created.map(result => `- **${result.group}:** ${result.key} (${result.url})`).join("\n"),
+    });
+  }
+  
+  return results;
+}
+
+async function syncSignoffTickets(tracker, step, tickets, signoffs, prUrl) {
+  const updates = [];
+  const drift = [];
+  
+  for (const group of signoffs.groups) {
+    const ticket = tickets[group.group];
+    const label = `${step.toUpperCase()} / ${formatGroupName(group.group)}`;
+    if (!ticket?.key || (ticket.tracker || "jira") !== tracker.name) {
+      drift.push(`${label}: no ${tracker.label} ticket recorded — run \`signoff_create_jira_tickets\``);
+      continue;
+    }
+    
+    try {
+      const found = await tracker.findTicket(ticket.key);
+      if (!found) {
+        drift.push(`${label}: ${ticket.key} no longer exists in ${tracker.label}`);
+        continue;
+      }
+      
+      // Only approvals and change requests move a ticket; a pending group leaves it where the lead put it
+      let target = null;
+      let comment = "";
+      if (group.status === "approved" && found.status !== "done") {
+        target = "done";
+        comment = `✅ ${formatGroupName(group.group)} signed off ${step.toUpperCase()} on ${prUrl} (approved by ${group.approvers.join(", ")}).`;
+      } else if (group.status === "changes_requested" && found.status !== "in_progress") {
+        target = "in_progress";
+        comment = `🔁 Changes requested on ${prUrl} by ${group.changesRequestedBy.join(", ")}.`;
+      } else if (group.status !== "approved" && found.status === "done") {
+        drift.push(`${label}: ${ticket.key} is ${found.statusName}, but the group has not approved ${prUrl}`);
+        continue;
+      }
+      if (!target) continue;
+      
+      if (!(await tracker.moveTicket(found, target))) {
+        drift.push(`${label}: ${ticket.key} cannot move from ${found.statusName} to ${tracker.statusNames[target]} in its ${tracker.label} workflow`);
+        continue;
+      }
+      await tracker.commentTicket(found, comment);
+      updates.push({ step, group: group.group, key: ticket.key, from: found.statusName, to: tracker.statusNames[target] });
+    } catch (error) {
+      drift.push(`${label}: ${ticket.key} — ${error.message}`);
+    }
+  }
+  
+  return { updates, drift };
+}
+
+// ==================== Epics & Stories ====================
+
+function parseEpicsAndStories(markdown) {
+  // Format: "## Epic: <title>" headings, each with "### Story: <title>" items carrying
+  // an "Estimate:" line and an "Acceptance criteria:" list; other text is description
+  const epics = [];
+  const problems = [];
+  let epic = null;
+  let story = null;
+  let inCriteria = false;
+  
+  markdown.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const epicMatch = level === 2 && heading[2].match(/^Epic(?:\s+[\w.-]+)?\s*:\s*(.+)$/i);
+      const storyMatch = level === 3 && heading[2].match(/^Story(?:\s+[\w.-]+)?\s*:\s*(.+)$/i);
+      inCriteria = false;
+      if (epicMatch) {
+        epic = { title: epicMatch[1], line: lineNumber, description: [], stories: [] };
+        epics.push(epic);
+        story = null;
+      } else if (storyMatch && !epic) {
+        problems.push({ line: lineNumber, message: `story "${storyMatch[1]}" comes before any "## Epic:" heading` });
+        story = null;
+      } else if (storyMatch) {
+        story = { title: storyMatch[1], line: lineNumber, description: [], acceptanceCriteria: [], estimate: null };
+        epic.stories.push(story);
+      } else if (level <= 2) {
+        epic = null;
+        story = null;
+      } else if (level === 3) {
+        story = null;
+      }
+      return;
+    }
+    
+    const target = story || epic;
+    if (!target) return;
+    const plain = line.replace(/\*\*/g, "").trim();
+    
+    const estimate = plain.match(/^Estimate\s*:\s*(.+)$/i);
+    if (estimate && story) {
+      const points = Number(estimate[1].replace(/\s*(pts?|points?|sp)\.?$/i, ""));
+      if (Number.isNaN(points)) {
+        problems.push({ line: lineNumber, message: `estimate "${estimate[1]}" of story "${story.title}" is not a number` });
+      } else {
+        story.estimate = points;
+      }
+      return;
+    }
+    if (/^Acceptance criteria\s*:?$/i.test(plain) && story) {
+      inCriteria = true;
+      return;
+    }
+    
+    const item = line.match(/^\s*[-*]\s+(?:\[[ xX]\]\s+)?(.+)$/);
+    if (inCriteria && item) {
+      story.acceptanceCriteria.push(item[1].trim());
+      return;
+    }
+    if (inCriteria && plain) inCriteria = false;
+    target.description.push(line);
+  });
+  
+  if (epics.length === 0) {
+    problems.push({ line: 1, message: `no epics found; expected "## Epic: <title>" headings` });
+  }
+  const epicTitles = new Set();
+  for (const epic of epics) {
+    epic.description = epic.description.join("\n").trim();
+    if (epicTitles.has(epic.title)) problems.push({ line: epic.line, message: `epic "${epic.title}" is listed more than once` });
+    epicTitles.add(epic.title);
+    if (epic.stories.length === 0) problems.push({ line: epic.line, message: `epic "${epic.title}" has no "### Story:" items` });
+    
+    const storyTitles = new Set();
+    for (const story of epic.stories) {
+      story.description = story.description.join("\n").trim();
+      if (storyTitles.has(story.title)) problems.push({ line: story.line, message: `story "${story.title}" is listed more than once in epic "${epic.title}"` });
+      storyTitles.add(story.title);
+      if (story.acceptanceCriteria.length === 0) {
+        problems.push({ line: story.line, message: `story "${story.title}" has no acceptance criteria` });
+      }
+    }
+  }
+  
+  return { epics, problems: problems.sort((a, b) => a.line - b.line) };
+}
+
+function formatStoryDescription(story, pointsField) {
+  let description = story.description;
+  if (story.acceptanceCriteria.length > 0) {
+    description += `${description ? "\n\n" : ""}Acceptance criteria:\n${story.acceptanceCriteria.map(criterion => `- ${criterion}`).join("\n")}`;
+  }
+  if (story.estimate !== null && !pointsField) {
+    description += `${description ? "\n\n" : ""}Estimate: ${story.estimate}`;
+  }
+  return description;
+}
+
+function getBacklogLabels(key, step) {
+  return ["bmad", `initiative-${key}`, `artifact-${step}`];
+}
+
+async function createBacklogIssues(config, governance, key, step, epics) {
+  const state = loadInitiativeState(key);
+  const jira = governance?.jira || {};
+  const project = jira.project_key || "UNKNOWN";
+  const labels = getBacklogLabels(key, step);
+  const initiativeIssue = state.data.external_ids?.jira;
+  const recorded = state.data.backlog?.epics || [];
+  const results = [];
+  const backlog = [];
+  
+  const createIssue = async fields => jiraRequest(config, "POST", "/rest/api/2/issue", {
+    fields: { project: { key: project }, labels, ...fields },
+  });
+  
+  // Issues are matched to the ones created before by title, so re-running only adds what is new
+  for (const epic of epics) {
+    const previous = recorded.find(entry => entry.title === epic.title);
+    const entry = { title: epic.title, key: previous?.key || "", linked_to: previous?.linked_to || "", stories: [] };
+    try {
+      const created = !entry.key;
+      if (created) {
+        entry.key = (await createIssue({
+          issuetype: { name: jira.issue_types?.epic || "Epic" },
+          summary: epic.title,
+          description: epic.description,
+        })).key;
+      }
+      const result = { type: "epic", title: epic.title, key: entry.key, created, warnings: [] };
+      results.push(result);
+      
+      if (initiativeIssue && entry.linked_to !== initiativeIssue) {
+        try {
+          await jiraRequest(config, "POST", "/rest/api/2/issueLink", {
+            type: { name: jira.initiative_link_type || "Relates" },
+            inwardIssue: { key: entry.key },
+            outwardIssue: { key: initiativeIssue },
+          });
+          entry.linked_to = initiativeIssue;
+        } catch (error) {
+          result.warnings.push(`not linked to ${initiativeIssue}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      results.push({ type: "epic", title: epic.title, error: error.message });
+    }
+    
+    for (const story of epic.stories) {
+      const previousStory = previous?.stories?.find(item => item.title === story.title);
+      if (previousStory?.key) {
+        entry.stories.push({ title: story.title, key: previousStory.key });
+        results.push({ type: "story", title: story.title, key: previousStory.key, created: false, warnings: [] });
+        continue;
+      }
+      if (!entry.key) {
+        results.push({ type: "story", title: story.title, error: "its epic could not be created" });
+        continue;
+      }
+      try {
+        // Company-managed Jira Server/Data Center projects link stories through an "Epic Link" field instead of parent
+        const { key: storyKey } = await createIssue({
+          issuetype: { name: jira.issue_types?.story || "Story" },
+          summary: story.title,
+          description: formatStoryDescription(story, jira.story_points_field),
+          ...(jira.epic_link_field ? { [jira.epic_link_field]: entry.key } : { parent: { key: entry.key } }),
+          ...(jira.story_points_field && story.estimate !== null ? { [jira.story_points_field]: story.estimate } : {}),
+        });
+        entry.stories.push({ title: story.title, key: storyKey });
+        results.push({ type: "story", title: story.title, key: storyKey, created: true, warnings: [] });
+      } catch (error) {
+        results.push({ type: "story", title: story.title, error: error.message });
+      }
+    }
+    if (entry.key) backlog.push(entry);
+  }
+  
+  // Keep entries for epics no longer in the artifact, so their keys are not forgotten
+  for (const entry of recorded) {
+    if (!backlog.some(item => item.title === entry.title)) backlog.push(entry);
+  }
+  
+  if (backlog.length > 0) {
+    updateInitiativeState(key, doc => {
+      setYamlValue(doc, ["backlog"], { source: step, epics: backlog });
+    });
+  }
+  const created = results.filter(result => result.created);
+  if (created.length > 0) {
+    recordHistory(key, {
+      type: "backlog_created",
+      step,
+      details: { issues: created.map(result => result.key) },
+    });
+    appendTimeline(key, {
+      title: "Jira Backlog Created",
+      content: created.map(result => `- **${result.type}:** ${result.key} — ${result.title}`).join("\n"),
+    });
+  }
+  
+  return results;
+}
+
+function writeBacklogCsv(path, key, step, epics, governance) {
+  const jira = governance?.jira || {};
+  const labels = getBacklogLabels(key, step);
+  const header = ["Issue Id", "Parent Id", "Summary", "Project", "Issue Type", ...labels.map(() => "Labels"), "Description", "Story Points"];
+  const rows = [];
+  let id = 0;
+  
+  // Jira's importer builds the hierarchy from "Issue Id" and "Parent Id"
+  for (const epic of epics) {
+    const epicId = ++id;
+    rows.push([epicId, "", epic.title, jira.project_key || "UNKNOWN", jira.issue_types?.epic || "Epic", ...labels, epic.description, ""]);
+    for (const story of epic.stories) {
+      rows.push([
+        ++id,
+        epicId,
+        story.title,
+        jira.project_key || "UNKNOWN",
+        jira.issue_types?.story || "Story",
+        ...labels,
+        formatStoryDescription(story, "Story Points"),
+        story.estimate ?? "",
+      ]);
+    }
+  }
+  writeCsvFile(path, header, rows);
+  return rows.length;
+}
+
+// ==================== Artifact Lint ====================
+
+const DEFAULT_LINT_MARKERS = ["TODO", "TBD", "FIXME"];
+
+// Rules for the default steps, matching the sections of the shipped templates; governance lint.steps overrides them
+const DEFAULT_LINT_RULES = {
+  prd: { required_sections: ["Problem statement", "Goals", "Functional requirements", "Success metrics"], upstream_links: false },
+  ux: { required_sections: ["User journeys", "Screens and states"], upstream_links: true },
+  architecture: { required_sections: ["Context and constraints", "Components", "Security and privacy", "Key decisions"], upstream_links: true },
+  epics_stories: { required_sections: [], upstream_links: true, acceptance_criteria: true },
+  readiness: { required_sections: ["Summary", "Recommendation"], upstream_links: true },
+};
+
+function getLintRules(governance, step) {
+  const lint = governance?.lint || {};
+  const rules = { required_sections: [], upstream_links: false, acceptance_criteria: false, ...DEFAULT_LINT_RULES[step], ...lint.steps?.[step] };
+  return {
+    ...rules,
+    markers: lint.steps?.[step]?.markers || lint.markers || DEFAULT_LINT_MARKERS,
+    enforce: lint.enforce !== false,
+  };
+}
+
+function getMarkdownSections(markdown) {
+  const sections = [];
+  let fenced = false;
+  markdown.split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const heading = !fenced && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      // A section runs until the next heading of the same or a higher level
+      for (const section of sections) {
+        if (section.open && section.level >= heading[1].length) {
+          section.open = false;
+          section.end = index;
+        }
+      }
+      sections.push({ title: heading[2], level: heading[1].length, line: index + 1, body: [], open: true });
+      return;
+    }
+    for (const section of sections) {
+      if (section.open) section.body.push(line);
+    }
+  });
+  const lineCount = markdown.split(/\r?\n/).length;
+  for (const section of sections) section.end ??= lineCount;
+  return sections;
+}
+
+function hasSectionContent(lines) {
+  // Template guidance, empty list items and tables without data rows do not count as content
+  const text = lines.join("\n").replace(/<!--[\s\S]*?-->/g, "");
+  let tableRow = 0;
+  return text.split("\n").some(line => {
+    if (!line.trim().startsWith("|")) {
+      tableRow = 0;
+      return line.trim() !== "" && !/^\s*([-*+]|\d+[.)])\s*(\[[ xX]\])?\s*$/.test(line);
+    }
+    tableRow++;
+    return tableRow > 2 && line.split("|").some(cell => cell.trim() !== "");
+  });
+}
+
+function lintArtifact(key, step) {
+  const state = loadInitiativeState(key);
+  const rules = getLintRules(loadGovernance(), step);
+  const path = getArtifactPath(key, step);
+  const markdown = readFileSync(path, "utf-8");
+  const lines = markdown.split(/\r?\n/);
+  const problems = [];
+  
+  const stub = lines.findIndex(line => /\(Mock\)|This is a \*\*stub artifact\*\*/.test(line));
+  if (stub >= 0) problems.push({ line: stub + 1, message: "still contains the generated stub text" });
+  
+  if (rules.markers.length > 0) {
+    const escaped = rules.markers.map(marker => marker.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = new RegExp(`\\b(${escaped.join("|")})\\b`);
+    // Template guidance in HTML comments may mention TODO/TBD; only the visible text counts
+    stripHtmlComments(markdown).split(/\r?\n/).forEach((line, index) => {
+      const marker = line.match(pattern);
+      if (marker) problems.push({ line: index + 1, message: `unresolved ${marker[1]} marker` });
+    });
+  }
+  
+  const sections = getMarkdownSections(markdown);
+  for (const name of rules.required_sections) {
+    const section = sections.find(item => item.title.toLowerCase() === name.toLowerCase());
+    if (!section) problems.push({ message: `missing required section "${name}"` });
+    else if (!hasSectionContent(section.body)) problems.push({ line: section.line, message: `section "${section.title}" is empty` });
+  }
+  
+  if (rules.upstream_links) {
+    // Any Markdown link whose target ends in the upstream file name counts, wherever the file sits
+    const targets = [...markdown.matchAll(/\]\(([^)\s]+)[^)]*\)/g)].map(match => decodeURI(match[1].split("#")[0]));
+    for (const upstream of getUpstreamSteps(state, step)) {
+      const file = basename(getArtifactPath(key, upstream));
+      if (!targets.some(target => basename(target) === file)) {
+        problems.push({ message: `no link to the upstream ${state.artifacts[upstream].title} artifact (${file})` });
+      }
+    }
+  }
+  
+  if (rules.acceptance_criteria) {
+    for (const problem of parseEpicsAndStories(markdown).problems) problems.push(problem);
+  }
+  
+  problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { path, rules, problems };
+}
+
+function formatLintResult(key, step, lint) {
+  const checks = [];
+  if (lint.rules.required_sections.length > 0) checks.push(`sections: ${lint.rules.required_sections.join(", ")}`);
+  if (lint.rules.upstream_links) checks.push("links to upstream artifacts");
+  if (lint.rules.acceptance_criteria) checks.push("acceptance criteria on every story");
+  if (lint.rules.markers.length > 0) checks.push(`no ${lint.rules.markers.join("/")} markers`);
+  checks.push("no stub text");
+  
+  let result = `## 🔍 Lint: ${key} — ${step.toUpperCase()}\n\n`;
+  result += `**File:** ${displayPath(lint.path)}\n`;
+  result += `**Checks:** ${checks.join("; ")}\n\n`;
+  if (lint.problems.length === 0) {
+    result += `✅ No problems found. The artifact is ready for signoff.`;
+    return result;
+  }
+  
+  result += `❌ ${lint.problems.length} problem${lint.problems.length === 1 ? "" : "s"}:\n`;
+  for (const problem of lint.problems) {
+    result += `- ${problem.line ? `line ${problem.line}: ` : ""}${problem.message}\n`;
+  }
+  if (!lint.rules.enforce) result += `\n_Not enforced (\`lint.enforce: false\` in governance.yaml), so the signoff PR can still be opened._`;
+  return result.trimEnd();
+}
+
+function checkLintGate(key, step, retry) {
+  // Returns a tool response when lint problems must block the signoff PR, otherwise null
+  const lint = lintArtifact(key, step);
+  if (!lint.rules.enforce || lint.problems.length === 0) return null;
+  return {
+    content: [{
+      type: "text",
+      text: `${formatLintResult(key, step, lint)}\n\nThe signoff PR was not opened. Fix these problems, then run \`${retry}\` again.`,
+    }],
+    isError: true,
+  };
+}
+
+// ==================== Traceability ====================
+
+// Requirements get stable IDs in the requirements step (the PRD) and are referenced by ID downstream;
+// the readiness step cannot go to signoff until every requirement is covered by a story
+const DEFAULT_REQUIREMENT_PREFIXES = ["FR", "NFR"];
+
+function getTraceabilityRules(governance) {
+  const traceability = governance?.traceability || {};
+  return {
+    prefixes: traceability.prefixes || DEFAULT_REQUIREMENT_PREFIXES,
+    // Unset: every step after the requirements step, except the readiness report
+    steps: traceability.steps || null,
+    enforce: traceability.enforce !== false,
+  };
+}
+
+function getRequirementPattern(prefixes) {
+  const escaped = prefixes.map(prefix => prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`\\b(?:${escaped.join("|")})-\\d+\\b`, "g");
+}
+
+function stripHtmlComments(markdown) {
+  // Blanks out <!-- ... --> blocks, keeping line numbers
+  return markdown.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ""));
+}
+
+function stripMarkdownComments(markdown) {
+  // Blanks out template guidance and code blocks so their example IDs do not count, keeping line numbers
+  return stripHtmlComments(markdown)
+    .replace(/^(```|~~~)[\s\S]*?^\1/gm, block => block.replace(/[^\n]/g, ""));
+}
+
+function parseRequirements(markdown, pattern) {
+  // A requirement is defined where its ID starts a list item, heading or table row, e.g. "- **FR-1:** ...";
+  // a struck-through definition ("~~FR-3: ...~~") is retired, since IDs are never reused
+  const requirements = [];
+  const problems = [];
+  markdown.split("\n").forEach((line, index) => {
+    const lead = line.match(/^\s*(?:#{1,6}\s+|[-*+]\s+|\d+[.)]\s+|\|\s*)?(?:\[[ xX]\]\s+)?[*_`~]*/)[0];
+    const id = line.slice(lead.length).match(new RegExp(`^${pattern.source}`));
+    if (!id) return;
+    
+    const rest = line.slice(lead.length + id[0].length);
+    const text = lead.includes("|")
+      ? rest.split("|").slice(1).map(cell => cell.trim()).find(Boolean) || ""
+      : rest.replace(/^[*_`~]*\s*[:.)–—-]?\s*(?:[*_`]+\s*)?/, "").replace(/[*_~\s]+$/, "");
+    const existing = requirements.find(requirement => requirement.id === id[0]);
+    if (existing) {
+      problems.push({ line: index + 1, message: `${id[0]} is defined more than once (first on line ${existing.line})` });
+      return;
+    }
+    requirements.push({ id: id[0], text, line: index + 1, retired: lead.includes("~~") });
+  });
+  return { requirements, problems };
+}
+
+function findRequirementReferences(markdown, pattern) {
+  const references = new Map();
+  markdown.split("\n").forEach((line, index) => {
+    for (const [id] of line.matchAll(pattern)) {
+      if (!references.has(id)) references.set(id, []);
+      references.get(id).push(index + 1);
+    }
+  });
+  return references;
+}
+
+function buildTraceability(key) {
+  const state = loadInitiativeState(key);
+  const rules = getTraceabilityRules(loadGovernance());
+  const pattern = getRequirementPattern(rules.prefixes);
+  const readArtifact = step => {
+    const path = state.artifacts[step] && getArtifactPath(key, step);
+    return path && existsSync(path) ? stripMarkdownComments(readFileSync(path, "utf-8")) : null;
+  };
+  
+  const source = getRoleStep(state, "requirements");
+  const storiesStep = getRoleStep(state, "stories");
+  const gateStep = getRoleStep(state, "readiness");
+  const hasSource = Boolean(source);
+  const prd = hasSource ? readArtifact(source) : null;
+  const { requirements, problems } = prd === null ? { requirements: [], problems: [] } : parseRequirements(prd, pattern);
+  
+  const allSteps = getInitiativeSteps(state);
+  const traced = rules.steps || allSteps.slice(allSteps.indexOf(source) + 1).filter(step => step !== gateStep);
+  const steps = (hasSource ? traced : []).filter(step => step !== source && state.artifacts[step]).map(step => {
+    const markdown = readArtifact(step);
+    return {
+      step,
+      title: state.artifacts[step].title,
+      written: markdown !== null,
+      references: markdown === null ? new Map() : findRequirementReferences(markdown, pattern),
+    };
+  });
+  
+  // A story covers the requirements it names itself, in its title, description or acceptance criteria
+  const hasStories = Boolean(storiesStep);
+  const storiesMarkdown = hasStories ? readArtifact(storiesStep) : null;
+  const stories = [];
+  for (const epic of storiesMarkdown === null ? [] : parseEpicsAndStories(storiesMarkdown).epics) {
+    for (const story of epic.stories) {
+      const text = [story.title, story.description, ...story.acceptanceCriteria].join("\n");
+      stories.push({ epic: epic.title, title: story.title, line: story.line, ids: [...new Set(text.match(pattern) || [])] });
+    }
+  }
+  
+  const coverage = requirements.filter(requirement => !requirement.retired).map(requirement => ({
+    ...requirement,
+    steps: Object.fromEntries(steps.map(item => [item.step, item.references.has(requirement.id)])),
+    stories: stories.filter(story => story.ids.includes(requirement.id)),
+  }));
+  // Without an epics & stories step, a reference in any traced artifact counts as coverage
+  const uncovered = coverage.filter(item => hasStories ? item.stories.length === 0 : !Object.values(item.steps).some(Boolean));
+  const orphans = stories.filter(story => story.ids.length === 0);
+  
+  const unknown = [];
+  for (const item of steps) {
+    for (const [id, lines] of item.references) {
+      const requirement = requirements.find(candidate => candidate.id === id);
+      if (!requirement || requirement.retired) unknown.push({ id, step: item.step, title: item.title, line: lines[0], retired: Boolean(requirement) });
+    }
+  }
+  
+  return {
+    rules,
+    hasSource,
+    source: hasSource ? { step: source, title: state.artifacts[source].title } : null,
+    storiesStep,
+    gate: gateStep ? { step: gateStep, title: state.artifacts[gateStep].title } : null,
+    prdWritten: prd !== null,
+    requirements,
+    coverage,
+    steps,
+    hasStories,
+    stories,
+    uncovered,
+    orphans,
+    unknown,
+    problems,
+    complete: !hasSource || (coverage.length > 0 && uncovered.length === 0),
+  };
+}
+
+function formatTraceability(key, trace) {
+  let result = `## 🧭 Traceability: ${key}\n\n`;
+  if (!trace.hasSource) {
+    return result + `⚠️ No step of this initiative has \`role: requirements\` in its workflow, so there are no requirements to trace.`;
+  }
+  if (!trace.prdWritten) {
+    return result + `❌ The ${trace.source.title} has not been written yet, so there are no requirements to trace.`;
+  }
+  
+  const example = `${trace.rules.prefixes[0]}-1`;
+  if (trace.coverage.length === 0) {
+    result += `❌ No requirement IDs found in the ${trace.source.title}. Start each requirement with a stable ID (${trace.rules.prefixes.map(prefix => `${prefix}-<n>`).join(", ")}), e.g. \`- **${example}:** A visitor can sign up with an email address.\``;
+    return result;
+  }
+  
+  const retired = trace.requirements.length - trace.coverage.length;
+  result += `**Requirements:** ${trace.coverage.length}${retired > 0 ? ` (${retired} retired)` : ""}\n`;
+  result += `**Covered${trace.hasStories ? " by stories" : ""}:** ${trace.coverage.length - trace.uncovered.length}/${trace.coverage.length}\n\n`;
+  
+  result += `| Requirement | ${trace.steps.map(item => `${item.title}${item.written ? "" : " _(not written)_"}`).join(" | ")} |\n`;
+  result += `|-------------|${trace.steps.map(() => "---").join("|")}|\n`;
+  for (const item of trace.coverage) {
+    const text = item.text.length > 60 ? `${item.text.slice(0, 57)}...` : item.text;
+    const cells = trace.steps.map(step => {
+      if (step.step === trace.storiesStep) return item.stories.length > 0 ? `✅ ${item.stories.length}` : "❌";
+      return item.steps[step.step] ? "✅" : "—";
+    });
+    result += `| **${item.id}** ${text.replace(/\|/g, "\\|")} | ${cells.join(" | ")} |\n`;
+  }
+  
+  if (trace.uncovered.length > 0) {
+    result += `\n### ❌ Uncovered requirements\n\n`;
+    for (const item of trace.uncovered) result += `- **${item.id}** ${item.text} (${trace.source.title} line ${item.line})\n`;
+  }
+  if (trace.orphans.length > 0) {
+    result += `\n### ⚠️ Orphan stories\n\nThese stories reference no requirement:\n`;
+    for (const story of trace.orphans) result += `- "${story.title}" in epic "${story.epic}" (line ${story.line})\n`;
+  }
+  if (trace.unknown.length > 0 || trace.problems.length > 0) {
+    result += `\n### ⚠️ Reference problems\n\n`;
+    for (const problem of trace.problems) result += `- ${trace.source.title} line ${problem.line}: ${problem.message}\n`;
+    for (const item of trace.unknown) {
+      result += `- ${item.title} line ${item.line}: ${item.id} ${item.retired ? "is retired" : `is not defined in the ${trace.source.title}`}\n`;
+    }
+  }
+  
+  result += `\n`;
+  if (trace.complete) {
+    result += `✅ Every requirement is covered${trace.hasStories ? " by at least one story" : ""}.`;
+  } else {
+    result += `Reference each requirement ID (e.g. \`${example}\`) in the ${trace.hasStories ? "stories" : "artifacts"} that deliver it.`;
+    if (!trace.gate) result += `\n\n⚠️ No step of this initiative has \`role: readiness\`, so no signoff is gated on coverage.`;
+    else if (trace.rules.enforce) result += ` The ${trace.gate.title} signoff PR cannot be opened until every requirement is covered.`;
+    else result += `\n\n_Not enforced (\`traceability.enforce: false\` in governance.yaml), so the ${trace.gate.title} signoff PR can still be opened._`;
+  }
+  return result;
+}
+
+function checkTraceabilityGate(key, step, retry) {
+  // Returns a tool response when incomplete coverage must block the readiness signoff PR, otherwise null
+  if (step !== getRoleStep(loadInitiativeState(key), "readiness")) return null;
+  const trace = buildTraceability(key);
+  if (!trace.rules.enforce || trace.complete) return null;
+  return {
+    content: [{
+      type: "text",
+      text: `${formatTraceability(key, trace)}\n\nThe signoff PR was not opened. Cover every requirement, then run \`${retry}\` again.`,
+    }],
+    isError: true,
+  };
+}
+
+// ==================== Readiness ====================
+
+// The readiness artifact is a report generated from the initiative's signoff data; the team only
+// ticks its checklist and writes its Notes section, and both survive a regeneration
+const READINESS_CHECKS = {
+  signoffs: "Upstream artifacts signed off",
+  stale: "No stale signoffs",
+  traceability: "Requirements covered by stories",
+  review_comments: "No open review comments on artifact PRs",
+  tickets: "Signoff tickets resolved",
+  checklist: "Checklist complete",
+};
+const DEFAULT_READINESS_BLOCKING = ["signoffs", "stale", "traceability", "checklist"];
+const DEFAULT_READINESS_CHECKLIST = [
+  "The delivery team has the environments and access it needs",
+  "Dependencies on other teams are agreed and scheduled",
+  "The test strategy is agreed",
+  "The release and rollback plan is agreed",
+];
+
+function getReadinessRules(governance) {
+  const readiness = governance?.readiness || {};
+  return {
+    checklist: readiness.checklist || DEFAULT_READINESS_CHECKLIST,
+    blocking: readiness.blocking || DEFAULT_READINESS_BLOCKING,
+    enforce: readiness.enforce !== false,
+  };
+}
+
+function readReadinessInputs(path) {
+  if (!existsSync(path)) return { ticked: new Set(), notes: null };
+  const markdown = readFileSync(path, "utf-8");
+  const sections = getMarkdownSections(markdown);
+  const find = title => sections.find(section => section.title.toLowerCase() === title);
+  const ticked = (find("checklist")?.body || [])
+    .map(line => line.match(/^\s*[-*]\s+\[[xX]\]\s+(.+?)\s*$/)?.[1])
+    .filter(Boolean);
+  const notes = find("notes");
+  // Body lines skip subheadings, so the notes are cut from the raw text
+  return { ticked: new Set(ticked), notes: notes ? markdown.split(/\r?\n/).slice(notes.line, notes.end).join("\n").trim() : null };
+}
+
+async function findUnresolvedTickets(tracker, recorded) {
+  // Tickets in another tracker, or that cannot be looked up, count as unchecked
+  const unresolved = [];
+  let unchecked = 0;
+  for (const ticket of recorded) {
+    if ((ticket.tracker || "jira") !== tracker.name || !tracker.ready) {
+      unchecked++;
+      continue;
+    }
+    try {
+      const found = await tracker.findTicket(ticket.key);
+      if (!found) unresolved.push({ ...ticket, statusName: `no longer exists in ${tracker.label}` });
+      else if (found.status !== "done") unresolved.push({ ...ticket, statusName: found.statusName });
+    } catch {
+      unchecked++;
+    }
+  }
+  return { unresolved, unchecked };
+}
+
+async function buildReadinessReport(key) {
+  const state = loadInitiativeState(key);
+  const governance = loadGovernance();
+  const rules = getReadinessRules(governance);
+  const readinessStep = getRoleStep(state, "readiness");
+  const upstream = getUpstreamSteps(state, readinessStep);
+  const ghReady = commandExists("gh") && isGhAuthenticated();
+  const checks = {};
+  
+  const signoffs = upstream.map(step => {
+    const artifact = state.artifacts[step];
+    return {
+      step,
+      title: artifact.title,
+      status: artifact.status || "none",
+      prUrl: artifact.pr_url || "",
+      signedOffAt: artifact.signed_off?.at || "",
+      approvals: Object.entries(artifact.signoffs)
+        .filter(([, signoff]) => signoff.status === "approved")
+        .map(([group, signoff]) => ({ group, approvers: signoff.approvers || [] })),
+    };
+  });
+  const unapproved = signoffs.filter(item => item.status !== "approved");
+  checks.signoffs = {
+    ok: unapproved.length === 0,
+    detail: unapproved.length === 0
+      ? `all ${signoffs.length} signed off`
+      : `not signed off: ${unapproved.map(item => `${item.title} (${item.status})`).join(", ")}`,
+  };
+  
+  const stale = findStaleSignoffs(key).filter(entry => upstream.includes(entry.step));
+  checks.stale = {
+    ok: stale.length === 0,
+    detail: stale.length === 0 ? "every signoff matches the current artifacts" : `changed after signoff: ${stale.map(entry => state.artifacts[entry.step].title).join(", ")}`,
+  };
+  
+  const trace = buildTraceability(key);
+  checks.traceability = {
+    ok: trace.complete,
+    detail: !trace.hasSource
+      ? "no step with `role: requirements` to trace"
+      : `${trace.coverage.length - trace.uncovered.length} of ${trace.coverage.length} requirements covered${trace.orphans.length > 0 ? `, ${trace.orphans.length} orphan stor${trace.orphans.length === 1 ? "y" : "ies"}` : ""}`,
+  };
+  
+  const threads = [];
+  let threadsChecked = ghReady;
+  for (const item of ghReady ? signoffs.filter(signoff => signoff.prUrl) : []) {
+    const open = listUnresolvedReviewThreads(item.prUrl);
+    if (open === null) threadsChecked = false;
+    else threads.push(...open.map(thread => ({ ...thread, step: item.step, title: item.title })));
+  }
+  checks.review_comments = {
+    ok: threads.length > 0 ? false : threadsChecked || null,
+    detail: !ghReady
+      ? "not checked: gh CLI is not ready"
+      : `${threads.length} unresolved review thread${threads.length === 1 ? "" : "s"}${threadsChecked ? "" : " (some PRs could not be read)"}`,
+  };
+  
+  const tracker = getTracker(governance);
+  const recorded = upstream.flatMap(step => Object.entries(state.artifacts[step].tickets)
+    .map(([group, ticket]) => ({ step, title: state.artifacts[step].title, group, ...ticket })));
+  const tickets = await findUnresolvedTickets(tracker, recorded);
+  let ticketsDetail = `${tickets.unresolved.length} of ${recorded.length} unresolved${tickets.unchecked > 0 ? `, ${tickets.unchecked} not checked` : ""}`;
+  if (recorded.length === 0) ticketsDetail = "no signoff tickets were created";
+  else if (tickets.unchecked === recorded.length) ticketsDetail = `not checked: ${tracker.ready ? `the tickets could not be read from ${tracker.label}` : `${tracker.label} is not set up`}`;
+  checks.tickets = {
+    ok: tickets.unresolved.length > 0 ? false : tickets.unchecked === 0 || null,
+    detail: ticketsDetail,
+  };
+  
+  const inputs = readReadinessInputs(getArtifactPath(key, readinessStep));
+  const checklist = rules.checklist.map(item => ({ item, done: inputs.ticked.has(item) }));
+  const done = checklist.filter(item => item.done).length;
+  checks.checklist = { ok: done === checklist.length, detail: `${done} of ${checklist.length} items ticked` };
+  
+  // A failed blocking check means no-go; other failures and checks that could not run are conditions of a go
+  const blockers = Object.keys(READINESS_CHECKS).filter(id => checks[id].ok === false && rules.blocking.includes(id));
+  const conditions = Object.keys(READINESS_CHECKS).filter(id => checks[id].ok !== true && !blockers.includes(id));
+  
+  return {
+    rules,
+    signoffs,
+    stale,
+    trace,
+    threads,
+    tickets: tickets.unresolved,
+    ticketCount: recorded.length,
+    checklist,
+    notes: inputs.notes,
+    checks,
+    blockers,
+    conditions,
+    decision: blockers.length > 0 ? "no_go" : "go",
+  };
+}
+
+function formatReadinessDecision(report) {
+  if (report.decision === "no_go") return `❌ NO-GO (${report.blockers.length} blocker${report.blockers.length === 1 ? "" : "s"})`;
+  if (report.conditions.length > 0) return `⚠️ GO with ${report.conditions.length} condition${report.conditions.length === 1 ? "" : "s"}`;
+  return "✅ GO";
+}
+
+function formatReadinessCheck(report, id) {
+  const check = report.checks[id];
+  if (check.ok === true) return "✅";
+  if (check.ok === null) return "❔";
+  return report.blockers.includes(id) ? "❌" : "⚠️";
+}
+
+function getReadinessVariables(report) {
+  const none = text => `_${text[0].toUpperCase()}${text.slice(1)}._`;
+  
+  let summary = `**Decision:** ${formatReadinessDecision(report)}\n\n`;
+  summary += `| Check | Result | Details |\n|-------|--------|---------|\n`;
+  for (const [id, label] of Object.entries(READINESS_CHECKS)) {
+    summary += `| ${label}${report.rules.blocking.includes(id) ? "" : " _(advisory)_"} | ${formatReadinessCheck(report, id)} | ${report.checks[id].detail} |\n`;
+  }
+  
+  let signoffs = `| Artifact | Status | Signed off | Approvals | PR |\n|----------|--------|------------|-----------|----|\n`;
+  for (const item of report.signoffs) {
+    const approvals = item.approvals.map(approval => `${formatGroupName(approval.group)}: ${approval.approvers.join(", ")}`).join("; ");
+    signoffs += `| ${item.title} | ${item.status === "approved" ? "✅" : "❌"} ${item.status} | ${item.signedOffAt.slice(0, 10) || "—"} | ${approvals || "—"} | ${item.prUrl || "—"} |\n`;
+  }
+  
+  const trace = report.trace;
+  let traceability = none("the initiative has no step with `role: requirements`");
+  if (trace.hasSource) {
+    traceability = `**Covered${trace.hasStories ? " by stories" : ""}:** ${trace.coverage.length - trace.uncovered.length} of ${trace.coverage.length} requirements\n`;
+    if (trace.uncovered.length > 0) {
+      traceability += `\n**Uncovered requirements:**\n${trace.uncovered.map(item => `- **${item.id}** ${item.text}`).join("\n")}\n`;
+    }
+    if (trace.orphans.length > 0) {
+      traceability += `\n**Stories without a requirement:**\n${trace.orphans.map(story => `- "${story.title}" in epic "${story.epic}"`).join("\n")}\n`;
+    }
+    traceability += `\nRun \`signoff_traceability\` for the full coverage matrix.`;
+  }
+  
+  const threads = report.threads.map(thread => {
+    const where = thread.path ? ` \`${thread.path}${thread.line ? `:${thread.line}` : ""}\`` : "";
+    const body = thread.body.split("\n")[0];
+    return `- **${thread.title}**${where} — ${thread.author ? `@${thread.author}: ` : ""}${body.length > 100 ? `${body.slice(0, 97)}...` : body}${thread.outdated ? " _(outdated)_" : ""} ([thread](${thread.url}))`;
+  }).join("\n");
+  const tickets = report.tickets.map(ticket => `- **${ticket.title} / ${formatGroupName(ticket.group)}:** ${ticket.url ? `[${ticket.key}](${ticket.url})` : ticket.key} — ${ticket.statusName}`).join("\n");
+  
+  let recommendation;
+  if (report.decision === "no_go") {
+    recommendation = `**NO-GO.** Resolve these blockers, then regenerate this report with \`signoff_readiness_report\`:\n${report.blockers.map(id => `- ${READINESS_CHECKS[id]} — ${report.checks[id].detail}`).join("\n")}`;
+  } else if (report.conditions.length > 0) {
+    recommendation = `**GO**, on these conditions:\n${report.conditions.map(id => `- ${READINESS_CHECKS[id]} — ${report.checks[id].detail}`).join("\n")}`;
+  } else {
+    recommendation = `**GO.** Every check passed; the initiative is ready for implementation.`;
+  }
+  
+  return {
+    readiness_decision: formatReadinessDecision(report),
+    readiness_summary: summary.trimEnd(),
+    readiness_signoffs: signoffs.trimEnd(),
+    readiness_stale: report.stale.length > 0 ? formatStaleSignoffs(report.stale).trimEnd() : none("none"),
+    readiness_traceability: traceability.trimEnd(),
+    readiness_review_comments: threads || none(report.checks.review_comments.ok === null ? report.checks.review_comments.detail : "none"),
+    readiness_tickets: tickets || none(report.checks.tickets.ok && report.ticketCount > 0 ? "all resolved" : report.checks.tickets.detail),
+    readiness_checklist: report.checklist.map(item => `- [${item.done ? "x" : " "}] ${item.item}`).join("\n"),
+    readiness_recommendation: recommendation,
+  };
+}
+
+async function writeReadinessReport(key) {
+  const report = await buildReadinessReport(key);
+  const step = getRoleStep(loadInitiativeState(key), "readiness");
+  const path = getArtifactPath(key, step);
+  const variables = { ...getTemplateVariables(key, step), ...getReadinessVariables(report) };
+  const lines = renderTemplate(readFileSync(getTemplatePath(step, "readiness"), "utf-8"), variables).split("\n");
+  
+  // Carry the team's notes over from the previous report
+  const notes = getMarkdownSections(lines.join("\n")).find(section => section.title.toLowerCase() === "notes");
+  if (notes && report.notes !== null) {
+    lines.splice(notes.line, notes.end - notes.line, "", ...(report.notes ? [report.notes, ""] : []));
+  }
+  
+  const isNew = !existsSync(path);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, lines.join("\n"));
+  if (isNew) notifyResourceListChanged();
+  return { ...report, path };
+}
+
+function formatReadinessReport(key, report) {
+  let result = `## 🚦 Readiness: ${key}\n\n`;
+  if (report.path) result += `**Report:** ${displayPath(report.path)}\n`;
+  result += `**Decision:** ${formatReadinessDecision(report)}\n\n`;
+  for (const [id, label] of Object.entries(READINESS_CHECKS)) {
+    result += `- ${formatReadinessCheck(report, id)} **${label}** — ${report.checks[id].detail}\n`;
+  }
+  return result.trimEnd();
+}
+
+async function checkReadinessGate(key, step, retry) {
+  // Regenerates the report right before its signoff PR opens, so leads sign off current data;
+  // returns a tool response when a no-go must block the PR, otherwise null
+  if (step !== getRoleStep(loadInitiativeState(key), "readiness")) return null;
+  const report = await writeReadinessReport(key);
+  if (!report.rules.enforce || report.decision === "go") return null;
+  return {
+    content: [{
+      type: "text",
+      text: `${formatReadinessReport(key, report)}\n\nThe signoff PR was not opened. Resolve the blockers, then run \`${retry}\` again.`,
+    }],
+    isError: true,
+  };
+}
+
+// ==================== Portfolio ====================
+
+function getPortfolioPath() {
+  return join(projectsDir, "portfolio.yaml");
+}
+
+function loadRegisteredProjects() {
+  if (!existsSync(getPortfolioPath())) return [];
+  return readYamlFile(getPortfolioPath(), PORTFOLIO_SCHEMA).data.projects || [];
+}
+
+function saveRegisteredProjects(paths) {
+  mkdirSync(projectsDir, { recursive: true });
+  writeYamlFile(getPortfolioPath(), { version: 1, projects: paths });
+}
+
+function listPortfolioProjects() {
+  // Local clones first, then registered paths and the selected project when they live elsewhere; a path is only listed once
+  const projects = getLocalProjects().map(project => ({ name: project.name, path: project.path }));
+  for (const path of [...loadRegisteredProjects(), ...(getProjectRoot() ? [getProjectRoot()] : [])]) {
+    if (projects.some(project => project.path === path)) continue;
+    projects.push({ name: path.split(/[\\/]/).filter(Boolean).pop() || path, path });
+  }
+  return projects;
+}
+
+function withProject(root, fn) {
+  // The state helpers all resolve paths from the selected project, so borrow the selection for the duration
+  const previous = currentProject;
+  currentProject = root;
+  try {
+    return fn();
+  } finally {
+    currentProject = previous;
+  }
+}
+
+function scanPortfolio({ refresh } = {}) {
+  return listPortfolioProjects().map(project => {
+    if (!existsSync(project.path)) return { ...project, error: "directory does not exist" };
+    try {
+      return withProject(project.path, () => {
+        const governance = loadGovernance();
+        const initiatives = listInitiativeKeys()
+          .map(key => summarizeInitiative(loadInitiativeState(key), governance, { refresh }));
+        return { ...project, governance, initiatives };
+      });
+    } catch (error) {
+      return { ...project, error: error.message };
+    }
+  });
+}
+
+// ==================== YAML Files ====================
+
+const YAML_OUTPUT_OPTIONS = { flowCollectionPadding: false, lineWidth: 0 };
+
+const STRING_LIST = { type: "list", items: { type: "string" } };
+
+const GROUP_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// "none" is a step that has not started yet
+const ARTIFACT_STATUSES = ["none", "draft", "in_review", "changes_requested", "approved", "superseded"];
+
+const HISTORY_EVENTS = [
+  "initiative_created",
+  "artifact_generated",
+  "pr_opened",
+  "review_received",
+  "changes_requested",
+  "resubmitted",
+  "step_advanced",
+  "signoffs_reopened",
+  "governance_changed",
+  "tickets_created",
+  "tickets_synced",
+  "backlog_created",
+];
+
+const GOVERNANCE_SCHEMA = {
+  type: "map",
+  required: ["version", "groups"],
+  fields: {
+    version: { type: "number" },
+    groups: {
+      type: "map",
+      values: {
+        type: "map",
+        required: ["leads"],
+        fields: {
+          display_name: { type: "string" },
+          leads: {
+            type: "map",
+            required: ["github_users"],
+            fields: {
+              github_users: STRING_LIST,
+              jira_account_ids: STRING_LIST,
+            },
+          },
+          github: {
+            type: "map",
+            fields: { team_slug: { type: "string" } },
+          },
+        },
+      },
+    },
+    tracker: { type: "string", enum: ["jira", "github"] },
+    jira: {
+      type: "map",
+      fields: {
+        base_url: { type: "string" },
+        project_key: { type: "string" },
+        issue_types: { type: "map", values: { type: "string" } },
+        statuses: { type: "map", values: { type: "string" } },
+        accounts: { type: "map", values: { type: "string" } },
+        epic_link_field: { type: "string" },
+        story_points_field: { type: "string" },
+        initiative_link_type: { type: "string" },
+      },
+    },
+    lint: {
+      type: "map",
+      fields: {
+        enforce: { type: "boolean" },
+        markers: STRING_LIST,
+        steps: {
+          type: "map",
+          values: {
+            type: "map",
+            fields: {
+              required_sections: STRING_LIST,
+              upstream_links: { type: "boolean" },
+              acceptance_criteria: { type: "boolean" },
+              markers: STRING_LIST,
+            },
+          },
+        },
+      },
+    },
+    traceability: {
+      type: "map",
+      fields: {
+        enforce: { type: "boolean" },
+        prefixes: STRING_LIST,
+        steps: STRING_LIST,
+      },
+    },
+    readiness: {
+      type: "map",
+      fields: {
+        enforce: { type: "boolean" },
+        checklist: STRING_LIST,
+        blocking: { type: "list", items: { type: "string", enum: Object.keys(READINESS_CHECKS) } },
+      },
+    },
+    signoff_rules: {
+      type: "map",
+      values: {
+        type: "map",
+        fields: {
+          required_groups: STRING_LIST,
+          quorum: { type: "map", values: { type: ["string", "number"] } },
+          keep_approvals_on_rework: { type: "boolean" },
+        },
+      },
+    },
+  },
+  check(data, problems) {
+    const groups = Object.keys(data.groups || {});
+    for (const group of groups) {
+      if (!GROUP_NAME_PATTERN.test(group)) {
+        problems.push({
+          path: ["groups", group],
+          message: `group name "${group}" must be lowercase letters, digits, "-" and "_"`,
+        });
+      }
+    }
+    for (const [step, rule] of Object.entries(data.signoff_rules || {})) {
+      for (const [group, quorum] of Object.entries(rule?.quorum || {})) {
+        const path = ["signoff_rules", step, "quorum", group];
+        const leadCount = data.groups?.[group]?.leads?.github_users?.length;
+        if (!groups.includes(group)) {
+          problems.push({ path, message: `signoff_rules.${step}.quorum names unknown group "${group}"` });
+        } else if (quorum !== "any" && quorum !== "all" && !(Number.isInteger(quorum) && quorum >= 1)) {
+          problems.push({ path, message: `signoff_rules.${step}.quorum.${group} must be "any", "all" or a number of leads, but it is "${quorum}"` });
+        } else if (Number.isInteger(quorum) && quorum > leadCount) {
+          problems.push({ path, message: `signoff_rules.${step}.quorum.${group} asks for ${quorum} approvals, but the group has only ${leadCount} lead(s)` });
+        }
+      }
+      (rule?.required_groups || []).forEach((group, index) => {
+        if (!groups.includes(group)) {
+          problems.push({
+            path: ["signoff_rules", step, "required_groups", index],
+            message: `signoff_rules.${step} requires unknown group "${group}" (defined groups: ${groups.join(", ") || "none"})`,
+          });
+        }
+      });
+    }
+  },
+};
+
+const WORKFLOW_SCHEMA = {
+  type: "map",
+  required: ["steps"],
+  fields: {
+    version: { type: "number" },
+    branch_pattern: { type: "string" },
+    steps: {
+      type: "list",
+      items: {
+        type: "map",
+        required: ["id"],
+        fields: {
+          id: { type: "string" },
+          title: { type: "string" },
+          artifact: { type: "string" },
+          branch: { type: "string" },
+          required_groups: STRING_LIST,
+          depends_on: STRING_LIST,
+          role: { type: "string", enum: Object.keys(STEP_ROLES) },
+        },
+      },
+    },
+  },
+  check(data, problems) {
+    if (data.steps.length === 0) {
+      problems.push({ path: ["steps"], message: "steps must list at least one step" });
+    }
+    const seen = new Set();
+    data.steps.forEach((step, index) => {
+      if (!/^[a-z][a-z0-9_]*$/.test(step.id)) {
+        problems.push({ path: ["steps", index, "id"], message: `step id "${step.id}" must be lowercase letters, digits and underscores` });
+      }
+      if (seen.has(step.id)) {
+        problems.push({ path: ["steps", index, "id"], message: `step id "${step.id}" is used more than once` });
+      }
+      for (const upstream of step.depends_on || []) {
+        if (!seen.has(upstream)) {
+          problems.push({ path: ["steps", index, "depends_on"], message: `step "${step.id}" can only depend on earlier steps, not "${upstream}"` });
+        }
+      }
+      seen.add(step.id);
+    });
+    for (const role of Object.keys(STEP_ROLES)) {
+      const steps = data.steps.filter(step => step.role === role).map(step => step.id);
+      if (steps.length > 1) {
+        problems.push({ path: ["steps"], message: `only one step can have role "${role}", not ${steps.join(", ")}` });
+      }
+    }
+  },
+};
+
+const STATE_SCHEMA = {
+  type: "map",
+  required: ["version", "key", "current_step", "artifacts"],
+  fields: {
+    version: { type: "number" },
+    key: { type: "string" },
+    title: { type: "string" },
+    external_ids: { type: "map", values: { type: "string" } },
+    phase: { type: "string", enum: ["planning", "complete"] },
+    current_step: { type: "string" },
+    governance_ref: { type: "map", fields: { path: { type: "string" } } },
+    artifacts: {
+      type: "map",
+      values: {
+        type: "map",
+        required: ["path"],
+        fields: {
+          title: { type: "string" },
+          path: { type: "string" },
+          required_groups: STRING_LIST,
+          depends_on: STRING_LIST,
+          role: { type: "string", enum: Object.keys(STEP_ROLES) },
+          signoffs: {
+            type: "map",
+            values: {
+              type: "map",
+              fields: {
+                status: { type: "string", enum: ["approved", "changes_requested", "pending", "dismissed"] },
+                approvers: STRING_LIST,
+                required: { type: "number" },
+                updated_at: { type: "string" },
+                checked_at: { type: "string" },
+              },
+            },
+          },
+          tickets: {
+            type: "map",
+            values: {
+              type: "map",
+              required: ["key"],
+              fields: {
+                tracker: { type: "string", enum: ["jira", "github"] },
+                key: { type: "string" },
+                url: { type: "string" },
+                created_at: { type: "string" },
+              },
+            },
+          },
+          signed_off: {
+            type: "map",
+            fields: {
+              at: { type: "string" },
+              hash: { type: "string" },
+              upstream: { type: "map", values: { type: "string" } },
+            },
+          },
+          active: {
+            type: "map",
+            fields: {
+              branch: { type: "string" },
+              pr_url: { type: "string" },
+              pr_number: { type: "number", nullable: true },
+              status: { type: "string", enum: ARTIFACT_STATUSES },
+              revision: { type: "number" },
+              changes_requested: {
+                type: "map",
+                fields: {
+                  group: { type: "string" },
+                  reason: { type: "string" },
+                  requested_by: { type: "string" },
+                  requested_at: { type: "string" },
+                },
+              },
+              carried_approvals: { type: "map", values: STRING_LIST },
+              carried_head: { type: "string" },
+            },
+          },
+          revisions: {
+            type: "list",
+            items: {
+              type: "map",
+              required: ["revision", "status"],
+              fields: {
+                revision: { type: "number" },
+                status: { type: "string", enum: ARTIFACT_STATUSES },
+                pr_url: { type: "string" },
+                submitted_at: { type: "string" },
+                superseded_at: { type: "string" },
+                reason: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+    backlog: {
+      type: "map",
+      fields: {
+        source: { type: "string" },
+        epics: {
+          type: "list",
+          items: {
+            type: "map",
+            required: ["title", "key"],
+            fields: {
+              title: { type: "string" },
+              key: { type: "string" },
+              linked_to: { type: "string" },
+              stories: {
+                type: "list",
+                items: {
+                  type: "map",
+                  required: ["title", "key"],
+                  fields: { title: { type: "string" }, key: { type: "string" } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    history: {
+      type: "list",
+      items: {
+        type: "map",
+        required: ["type", "actor", "at"],
+        fields: {
+          type: { type: "string", enum: HISTORY_EVENTS },
+          actor: { type: "string" },
+          at: { type: "string" },
+          step: { type: "string" },
+          details: { type: "map" },
+        },
+      },
+    },
+  },
+  check(data, problems) {
+    const steps = Object.keys(data.artifacts || {});
+    if (data.current_step && !steps.includes(data.current_step)) {
+      problems.push({
+        path: ["current_step"],
+        message: `current_step "${data.current_step}" is not one of the artifacts (${steps.join(", ")})`,
+      });
+    }
+  },
+};
+
+const PORTFOLIO_SCHEMA = {
+  type: "map",
+  required: ["version"],
+  fields: {
+    version: { type: "number" },
+    projects: STRING_LIST,
+  },
+};
+
+function yamlTypeOf(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "list";
+  if (typeof value === "object") return "map";
+  return typeof value;
+}
+
+function validateYaml(value, schema, path, problems) {
+  const where = path.join(".") || "document";
+  const actual = yamlTypeOf(value);
+  
+  if (actual === "null") {
+    if (!schema.nullable) problems.push({ path, message: `${where} must be a ${[].concat(schema.type).join(" or ")}, but it is empty` });
+    return;
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.includes(actual)) {
+    problems.push({ path, message: `${where} must be a ${types.join(" or ")}, but it is a ${actual}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `${where} must be one of ${schema.enum.join(", ")}, but it is "${value}"` });
+  }
+  
+  if (actual === "map") {
+    for (const field of schema.required || []) {
+      if (!(field in value)) problems.push({ path, message: `${where} is missing required field "${field}"` });
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.fields?.[field] || schema.values;
+      if (fieldSchema) validateYaml(fieldValue, fieldSchema, [...path, field], problems);
+    }
+  }
+  
+  if (actual === "list" && schema.items) {
+    value.forEach((item, index) => validateYaml(item, schema.items, [...path, index], problems));
+  }
+}
+
+function yamlLineOf(doc, lineCounter, path) {
+  // Walk up to the closest node that still exists so missing fields point at their parent
+  for (let depth = path.length; depth > 0; depth--) {
+    const node = doc.getIn(path.slice(0, depth), true);
+    if (node?.range) return lineCounter.linePos(node.range[0]).line;
+  }
+  return doc.contents?.range ? lineCounter.linePos(doc.contents.range[0]).line : 1;
+}
+
+function displayPath(path) {
+  const root = getProjectRoot();
+  return root && path.startsWith(root) ? relative(root, path) : path;
+}
+
+function readYamlFile(path, schema) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(readFileSync(path, "utf-8"), { lineCounter, prettyErrors: false });
+  
+  if (doc.errors.length > 0) {
+    const details = doc.errors
+      .map(error => `- line ${lineCounter.linePos(error.pos[0]).line}: ${error.message.split("\n")[0]}`)
+      .join("\n");
+    throw new Error(`${displayPath(path)} is not valid YAML:\n${details}`);
+  }
+  
+  const data = doc.toJS() ?? {};
+  const problems = [];
+  validateYaml(data, schema, [], problems);
+  if (problems.length === 0 && schema.check) schema.check(data, problems);
+  
+  if (problems.length > 0) {
+    const details = problems
+      .map(problem => `- line ${yamlLineOf(doc, lineCounter, problem.path)}: ${problem.message}`)
+      .join("\n");
+    throw new Error(`${displayPath(path)} is invalid:\n${details}`);
+  }
+  
+  return { doc, data };
+}
+
+function spaceYamlPair(pair, depth, index) {
+  // Top-level sections and entries of sections like groups/artifacts are separated by a blank line
+  const nested = isMap(pair.value) && pair.value.items.some(item => isMap(item.value));
+  if ((depth === 0 && !isScalar(pair.value)) || (depth === 1 && nested && index > 0)) {
+    if (!isScalar(pair.key)) pair.key = new Scalar(pair.key);
+    pair.key.spaceBefore = true;
+  }
+}
+
+function styleYamlNode(node, depth = 0) {
+  // Lists of plain values read best inline (`[ba, dev]`)
+  if (isSeq(node)) {
+    if (node.items.every(item => isScalar(item))) node.flow = true;
+    node.items.forEach(item => styleYamlNode(item, depth + 1));
+  }
+  if (isMap(node)) {
+    node.items.forEach((pair, index) => {
+      spaceYamlPair(pair, depth, index);
+      styleYamlNode(pair.value, depth + 1);
+    });
+  }
+}
+
+function setYamlValue(doc, path, value) {
+  if (value === null || typeof value !== "object") {
+    // Assigning a plain value keeps the existing node, so its quoting and comments survive
+    doc.setIn(path, value);
+    return;
+  }
+  const node = doc.createNode(value);
+  styleYamlNode(node, path.length);
+  const isNew = !doc.hasIn(path);
+  doc.setIn(path, node);
+  
+  const parent = path.length > 1 ? doc.getIn(path.slice(0, -1), true) : doc.contents;
+  if (isNew && isMap(parent)) {
+    const index = parent.items.findIndex(pair => (isScalar(pair.key) ? pair.key.value : pair.key) === path[path.length - 1]);
+    if (index !== -1) spaceYamlPair(parent.items[index], path.length - 1, index);
+  }
+}
+
+function appendYamlItem(doc, path, value) {
+  const list = doc.getIn(path, true);
+  if (!isSeq(list)) {
+    setYamlValue(doc, path, [value]);
+    return;
+  }
+  const node = doc.createNode(value);
+  styleYamlNode(node, path.length + 1);
+  // An empty list is written inline (`[]`); entries that are maps need the block style
+  if (!isScalar(node)) list.flow = false;
+  list.items.push(node);
+}
+
+function writeYamlFile(path, value) {
+  const doc = new Document(value);
+  styleYamlNode(doc.contents);
+  writeFileSync(path, doc.toString(YAML_OUTPUT_OPTIONS));
+}
+
+function updateYamlFile(path, schema, update) {
+  const { doc } = readYamlFile(path, schema);
+  update(doc);
+  writeFileSync(path, doc.toString(YAML_OUTPUT_OPTIONS));
+}
+
+// ==================== Tool Definitions ====================
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: [
+      // ===== SETUP TOOLS =====
+      {
+        name: "signoff_check_setup",
+        description: "Check if the environment is ready to use signoff tools. Verifies gh CLI installation and authentication. ALWAYS call this first before any other tool.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            auto_install: {
+              type: "boolean",
+              description: "If true, automatically install gh CLI if not present (default: true)",
+              default: true,
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_authenticate",
+        description: "Start the GitHub authentication process. Opens a browser for the user to log in.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      
+      // ===== PROJECT MANAGEMENT TOOLS =====
+      {
+        name: "signoff_list_projects",
+        description: "List available projects. Shows local cloned projects and optionally fetches from GitHub organizations.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            include_remote: {
+              type: "boolean",
+              description: "If true, also list projects from GitHub orgs (requires gh authentication)",
+              default: true,
+            },
+            org: {
+              type: "string",
+              description: "Optional: specific GitHub org to list repos from",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_select_project",
+        description: "Select a project to work with. Can be a local path or a GitHub repo (org/repo format).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            project: {
+              type: "string",
+              description: "Project identifier: local folder name, absolute path, or GitHub repo (e.g., 'my-project', '/path/to/project', or 'org/repo')",
+            },
+          },
+          required: ["project"],
+        },
+      },
+      {
+        name: "signoff_clone_project",
+        description: "Clone a GitHub repository to work with locally.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo: {
+              type: "string",
+              description: "GitHub repo in 'owner/repo' format (e.g., 'HALO/my-project')",
+            },
+            folder_name: {
+              type: "string",
+              description: "Optional: custom folder name for the cloned repo",
+            },
+          },
+          required: ["repo"],
+        },
+      },
+      
+      // ===== WORKFLOW TOOLS =====
+      {
+        name: "signoff_portfolio",
+        description: "Summarize every local project (under the projects directory) and registered external path in one view, without selecting each one: initiatives per step, stalled initiatives, and the signoffs each lead still owes across all projects.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            stalled_days: {
+              type: "number",
+              description: "Optional: a step running longer than this many days counts as stalled (default 7)",
+            },
+            refresh: {
+              type: "boolean",
+              description: "Optional: re-check open PRs on GitHub instead of using the last recorded signoffs",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_inbox",
+        description: "Show what the authenticated GitHub user still needs to approve: every artifact across the local and registered projects that awaits a signoff from a group they lead, with the PR link, how long it has been waiting and the signoff ticket. Optionally also lists open PRs on bmad/* branches where their review is requested.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            requested_reviews: {
+              type: "boolean",
+              description: "Optional: also ask GitHub for open PRs on bmad/* branches where your review is requested",
+            },
+            refresh: {
+              type: "boolean",
+              description: "Optional: re-check open PRs on GitHub instead of using the last recorded signoffs",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_register_project",
+        description: "Add a project that lives outside the projects directory to the portfolio (or remove it), so signoff_portfolio includes it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute path of the project (may start with ~)",
+            },
+            remove: {
+              type: "boolean",
+              description: "Optional: remove the path from the portfolio instead of adding it",
+            },
+          },
+          required: ["path"],
+        },
+      },
+      {
+        name: "signoff_status",
+        description: "Check the status of governance and initiatives for the current project.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            initiative_key: {
+              type: "string",
+              description: "Optional: specific initiative key to check status for",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_list_initiatives",
+        description: "List every initiative in the current project with its title, current step, per-artifact status, open PR, how long the current step has been running and which groups are blocking it. Filter by step, status, blocking group or initiatives waiting on your review, and sort by age.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            step: {
+              type: "string",
+              description: "Optional: only initiatives currently at this step (e.g. 'prd')",
+            },
+            status: {
+              type: "string",
+              enum: [...ARTIFACT_STATUSES, "complete"],
+              description: "Optional: only initiatives whose current step has this status, or 'complete'",
+            },
+            group: {
+              type: "string",
+              description: "Optional: only initiatives waiting on this signoff group",
+            },
+            waiting_on_me: {
+              type: "boolean",
+              description: "Optional: only initiatives under review that still need your approval as a lead (checks the PRs on GitHub)",
+            },
+            sort: {
+              type: "string",
+              enum: ["key", "oldest", "newest"],
+              description: "Optional: 'key' (default), or by age of the current step: 'oldest' or 'newest' first",
+            },
+            refresh: {
+              type: "boolean",
+              description: "Optional: re-check open PRs on GitHub instead of using the last recorded signoffs",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_setup_governance",
+        description: "Set up governance: signoff groups (BA, Design, Dev, or any custom groups such as QA, Security, Legal) and their leads. Required before creating initiatives.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            groups: {
+              type: "object",
+              additionalProperties: {
+                type: "array",
+                items: { type: "string" },
+              },
+              description: "Signoff groups and the GitHub usernames of their leads, e.g. { \"qa\": [\"alice\"], \"security\": [\"bob\", \"carol\"] }",
+            },
+            ba_leads: {
+              type: "array",
+              items: { type: "string" },
+              description: "GitHub usernames of BA leads (shorthand for groups.ba)",
+            },
+            design_leads: {
+              type: "array",
+              items: { type: "string" },
+              description: "GitHub usernames of Design leads (shorthand for groups.design)",
+            },
+            dev_leads: {
+              type: "array",
+              items: { type: "string" },
+              description: "GitHub usernames of Dev leads (shorthand for groups.dev)",
+            },
+            tracker: {
+              type: "string",
+              enum: ["jira", "github"],
+              description: "Optional: where signoff tickets are created — 'jira' (default) or 'github' for GitHub Issues in this repository",
+            },
+            jira_project_key: {
+              type: "string",
+              description: "Jira project key (e.g., 'PROJ'); required when the tracker is Jira",
+            },
+            lead_emails: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Optional: email of each lead by GitHub username, used to look up their Jira account IDs, e.g. { \"alice\": \"alice@acme.com\" }",
+            },
+            jira_accounts: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Optional: Jira account ID of each lead by GitHub username, when already known",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_resolve_jira_accounts",
+        description: "Look up the Jira account IDs of the governance leads (from their emails, a GitHub-to-Jira mapping, or their public GitHub email) and save them in governance.yaml so Jira tickets are assigned to them. Reports leads that could not be matched.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            lead_emails: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Optional: email of each lead by GitHub username, e.g. { \"alice\": \"alice@acme.com\" }",
+            },
+            jira_accounts: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Optional: Jira account ID of each lead by GitHub username",
+            },
+          },
+        },
+      },
+      {
+        name: "signoff_new_initiative",
+        description: "Create a new initiative. Governance must be set up first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key (e.g., 'FEAT-123' or 'INIT-001')",
+            },
+            title: {
+              type: "string",
+              description: "Initiative title",
+            },
+          },
+          required: ["key", "title"],
+        },
+      },
+      {
+        name: "signoff_advance",
+        description: "Advance an initiative: create the step's artifact, open its signoff PR, and move to the next step once the PR is approved and merged. Stops when a signed-off artifact changed after its signoff.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            reopen_stale: {
+              type: "boolean",
+              description: "Reopen signed-off steps whose artifact, or an upstream artifact, changed after signoff",
+            },
+            reopen_merged: {
+              type: "boolean",
+              description: "Reopen the current step with a new signoff PR when its PR was merged before every required group approved",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_open_pr",
+        description: "Commit the artifact to its bmad/<key>/<step> branch, push it, and open (or update) the signoff PR with lead reviewers.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: artifact name (defaults to the current step)",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_lint_artifact",
+        description: "Check an artifact before it goes to signoff: required sections present and filled in, no TODO/TBD markers or leftover stub text, links to the upstream artifacts, and acceptance criteria on every story. Rules come from governance `lint` (with defaults per step); signoff_advance, signoff_open_pr and signoff_resubmit refuse to open the PR while problems remain.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: artifact (workflow step) to check; defaults to the current step",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_traceability",
+        description: "Trace PRD requirements (stable IDs such as FR-1 and NFR-1) through the UX, Architecture and Epics & Stories artifacts: a coverage matrix, requirements no story covers, stories that reference no requirement, and references to unknown IDs. The readiness signoff PR cannot be opened until every requirement is covered (governance `traceability`).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_readiness_report",
+        description: "Generate the Implementation Readiness report from the initiative's real data: signoff status of every upstream artifact, stale signoffs, requirements traceability, unresolved review threads on the artifact PRs, unresolved signoff tickets and the governance `readiness.checklist`, ending in a go/no-go recommendation. Writes the readiness artifact (keeping checklist ticks and the Notes section); it is regenerated before its signoff PR opens, and a no-go blocks that PR.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Optional: only show the checks, without writing the report",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_request_changes",
+        description: "Record that a signoff group rejected an artifact under review. Marks it changes_requested, logs the reason in the timeline and posts it on the PR.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: artifact name (defaults to the current step)",
+            },
+            group: {
+              type: "string",
+              description: "The signoff group requesting changes (e.g. 'dev')",
+            },
+            reason: {
+              type: "string",
+              description: "What needs to change",
+            },
+          },
+          required: ["key", "group", "reason"],
+        },
+      },
+      {
+        name: "signoff_resubmit",
+        description: "Send a reworked artifact back for review: pushes the changes to the signoff PR, starts a new revision, and re-requests review from the leads that must approve again.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: artifact name (defaults to the current step)",
+            },
+            note: {
+              type: "string",
+              description: "Optional: summary of what changed",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_check_approvals",
+        description: "Read-only check of an artifact's signoff PR: maps each review to the governance groups the reviewer leads and reports per group whether it is approved, changes requested, pending or dismissed. Ignores approvals from non-leads and approvals made before the latest push, and records the result in state.yaml.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: artifact name (defaults to the current step)",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_history",
+        description: "List the audit trail of an initiative: who created it, generated artifacts, opened PRs, reviewed, requested changes and advanced steps, and when. Filter by event type, step, actor or date range.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            type: {
+              type: "string",
+              enum: HISTORY_EVENTS,
+              description: "Optional: only events of this type",
+            },
+            step: {
+              type: "string",
+              description: "Optional: only events for this step (e.g. 'prd')",
+            },
+            actor: {
+              type: "string",
+              description: "Optional: only events by this GitHub user",
+            },
+            since: {
+              type: "string",
+              description: "Optional: only events at or after this date (ISO 8601, e.g. '2026-01-31')",
+            },
+            until: {
+              type: "string",
+              description: "Optional: only events before this date (ISO 8601)",
+            },
+            limit: {
+              type: "number",
+              description: "Optional: show only the most recent N events",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_sync_jira",
+        description: "Bring an initiative's signoff tickets (Jira or GitHub Issues, per governance `tracker`) in line with its PR reviews: move a group's ticket to Done (close the issue) once the group approved, back to In Progress when it requested changes, comment with the PR link and reviewers, and report any drift that could not be fixed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: only sync this artifact (defaults to every artifact with a signoff PR)",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_create_jira_stories",
+        description: "Turn the signed-off Epics & Stories artifact into Jira epics with child stories (through the Jira API, or as a bulk-import CSV), link the epics to the initiative's Jira issue and record the created keys in state.yaml. Re-running only creates what is new.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Optional: the epics-and-stories step (defaults to the workflow step with role: stories)",
+            },
+            jira_issue: {
+              type: "string",
+              description: "Optional: the initiative's own Jira issue (e.g. 'PROJ-42') to link the epics to; saved as external_ids.jira",
+            },
+            csv: {
+              type: "boolean",
+              description: "Optional: write a Jira bulk-import CSV instead of calling the Jira API",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Optional: only parse the artifact and show the epics and stories that would be created",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_export_jira_csv",
+        description: "Write a Jira bulk-import CSV with every pending signoff ticket of an initiative (all artifacts not yet signed off), for Jira sites that do not allow API tokens.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "signoff_create_jira_tickets",
+        description: "Create signoff tickets (one per required group, assigned to its leads) for an artifact step in the project's tracker. With governance `tracker: github`, opens GitHub issues labelled bmad, initiative-<key>, artifact-<name> and group-<group>. Otherwise uses Jira: with JIRA_BASE_URL and JIRA_API_TOKEN set, creates them through the Jira API, else lists the tickets to create. Created keys are recorded in state.yaml, so re-running does not duplicate them.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Initiative key",
+            },
+            artifact: {
+              type: "string",
+              description: "Artifact (workflow step) name, e.g. prd, ux, architecture, epics_stories, readiness",
+            },
+            pr_url: {
+              type: "string",
+              description: "Optional: GitHub PR URL to include in tickets (defaults to the PR recorded in state.yaml)",
+            },
+            csv: {
+              type: "boolean",
+              description: "Optional: write a Jira bulk-import CSV of the pending signoff tickets instead of creating them",
+            },
+          },
+          required: ["key", "artifact"],
+        },
+      },
+    ],
+  };
+});
+
+// ==================== Tool Handlers ====================
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      // ===== SETUP TOOLS =====
+      case "signoff_check_setup": {
+        const autoInstall = args?.auto_install !== false;
+        let result = `## 🔧 Environment Check\n\n`;
+        
+        // Check OS
+        const os = getOS();
+        result += `**Operating System:** ${os === "macos" ? "macOS" : os === "windows" ? "Windows" : "Linux"}\n`;
         result += `**Projects Directory:** ${projectsDir}\n\n`;
         
-        // Check gh CLI
-        const ghInstalled = commandExists("gh");
+        // Check gh CLI
+        const ghInstalled = commandExists("gh");
+        
+        if (!ghInstalled) {
+          result += `### ❌ gh CLI not installed\n\n`;
+          
+          if (autoInstall) {
+            result += `Installing gh CLI automatically...\n\n`;
+            const installResult = await installGhCli();
+            
+            if (installResult.success) {
+              result += `✅ ${installResult.message}\n\n`;
+            } else {
+              result += `⚠️ ${installResult.message}\n\n`;
+              return { content: [{ type: "text", text: result }] };
+            }
+          } else {
+            result += `To install manually:\n`;
+            if (os === "macos") {
+              result += `\`\`\`bash\nbrew install gh\n\`\`\`\n`;
+            } else if (os === "windows") {
+              result += `\`\`\`powershell\nwinget install --id GitHub.cli\n\`\`\`\n`;
+            }
+            return { content: [{ type: "text", text: result }] };
+          }
+        } else {
+          result += `### ✅ gh CLI installed\n\n`;
+        }
+        
+        // Check authentication
+        const isAuth = isGhAuthenticated();
+        
+        if (!isAuth) {
+          result += `### ❌ Not authenticated to GitHub\n\n`;
+          result += `You need to authenticate to access your repositories.\n\n`;
+          result += `**Next step:** Use the \`signoff_authenticate\` tool to start the login process.\n`;
+          
+          return { 
+            content: [{ type: "text", text: result }],
+            isError: false,
+          };
+        }
+        
+        const user = getGhUser();
+        result += `### ✅ Authenticated as: ${user}\n\n`;
+        
+        // Check if project is selected
+        if (currentProject) {
+          result += `### ✅ Active project: ${currentProject}\n\n`;
+        } else {
+          result += `### ⚠️ No project selected\n\n`;
+          result += `**Next step:** Use \`signoff_list_projects\` to see available projects.\n`;
+        }
+        
+        result += `\n---\n\n**Status:** ✅ Ready to use\n`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      case "signoff_authenticate": {
+        let result = `## 🔐 GitHub Authentication\n\n`;
+        
+        if (isGhAuthenticated()) {
+          const user = getGhUser();
+          result += `✅ You are already authenticated as **${user}**\n\n`;
+          result += `If you want to switch accounts, run in terminal:\n\`\`\`bash\ngh auth logout\ngh auth login\n\`\`\`\n`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        result += `To authenticate, please follow these steps:\n\n`;
+        result += `1. **Open a terminal** on your computer\n`;
+        result += `2. **Run this command:**\n`;
+        result += `\`\`\`bash\ngh auth login\n\`\`\`\n`;
+        result += `3. **Follow the prompts:**\n`;
+        result += `   - Select "GitHub.com"\n`;
+        result += `   - Select "HTTPS"\n`;
+        result += `   - Select "Login with a web browser"\n`;
+        result += `   - Copy the code that appears\n`;
+        result += `   - Your browser will open, paste the code\n`;
+        result += `   - Authorize the application\n\n`;
+        result += `4. **When done**, come back here and use \`signoff_check_setup\` to verify.\n`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      // ===== PROJECT MANAGEMENT TOOLS =====
+      case "signoff_list_projects": {
+        if (!commandExists("gh")) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not installed. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        let result = `## 📁 Available Projects\n\n`;
+        
+        // Local projects
+        const localProjects = getLocalProjects();
+        
+        result += `### Local Projects (${projectsDir})\n\n`;
+        
+        if (localProjects.length === 0) {
+          result += `*No projects cloned yet.*\n\n`;
+        } else {
+          for (const proj of localProjects) {
+            const govIcon = proj.hasGovernance ? "✅" : "⚪";
+            const activeIcon = currentProject === proj.path ? "👉 " : "";
+            result += `${activeIcon}- **${proj.name}** ${govIcon}\n`;
+            result += `  Path: \`${proj.path}\`\n`;
+            if (proj.remoteUrl) {
+              result += `  Remote: ${proj.remoteUrl}\n`;
+            }
+            result += `\n`;
+          }
+        }
+        
+        // Remote projects (if authenticated and requested)
+        if (args?.include_remote !== false && isGhAuthenticated()) {
+          result += `### GitHub Projects\n\n`;
+          
+          if (args?.org) {
+            const repos = listOrgRepos(args.org);
+            result += `**Organization: ${args.org}**\n\n`;
+            
+            if (repos.length === 0) {
+              result += `*No repositories found.*\n\n`;
+            } else {
+              for (const repo of repos.slice(0, 15)) {
+                const isCloned = localProjects.some(p => p.remoteUrl?.includes(repo.url));
+                const clonedIcon = isCloned ? "✅ (cloned)" : "○";
+                result += `- **${args.org}/${repo.name}** ${clonedIcon}\n`;
+                if (repo.description) {
+                  result += `  ${repo.description}\n`;
+                }
+              }
+              if (repos.length > 15) {
+                result += `\n*...and ${repos.length - 15} more*\n`;
+              }
+            }
+          } else {
+            const orgs = listGhOrgs();
+            const user = getGhUser();
+            
+            result += `**Your repositories (@${user}):**\n\n`;
+            const userRepos = listUserRepos(10);
+            for (const repo of userRepos.slice(0, 5)) {
+              const fullName = `${repo.owner.login}/${repo.name}`;
+              const isCloned = localProjects.some(p => p.remoteUrl?.includes(fullName));
+              const clonedIcon = isCloned ? "✅" : "○";
+              result += `- ${fullName} ${clonedIcon}\n`;
+            }
+            
+            if (orgs.length > 0) {
+              result += `\n**Organizations:**\n`;
+              for (const org of orgs.slice(0, 5)) {
+                result += `- ${org} (use \`signoff_list_projects\` with \`org: "${org}"\` to see repos)\n`;
+              }
+            }
+          }
+        }
+        
+        result += `\n---\n\n`;
+        result += `**To select a project:** \`signoff_select_project\` with the name or "org/repo"\n`;
+        result += `**To clone a new project:** \`signoff_clone_project\` with "org/repo"\n`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      case "signoff_select_project": {
+        const project = args.project;
+        let result = `## Project Selection\n\n`;
+        
+        // Case 1: Absolute path
+        if (project.startsWith("/") || project.startsWith("C:") || project.startsWith("~")) {
+          const resolvedPath = project.startsWith("~") ? project.replace("~", homedir()) : project;
+          
+          if (!existsSync(resolvedPath)) {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ Directory does not exist: ${resolvedPath}\n\nUse \`signoff_clone_project\` to clone a repository.`,
+              }],
+              isError: true,
+            };
+          }
+          
+          currentProject = resolvedPath;
+          notifyResourceListChanged();
+          result += `✅ Project selected: ${resolvedPath}\n`;
+        }
+        // Case 2: GitHub repo (contains /)
+        else if (project.includes("/")) {
+          const repoName = project.split("/")[1];
+          const localPath = join(projectsDir, repoName);
+          
+          if (existsSync(localPath)) {
+            currentProject = localPath;
+            result += `✅ Project found locally: ${localPath}\n`;
+          } else {
+            if (!commandExists("gh") || !isGhAuthenticated()) {
+              return {
+                content: [{
+                  type: "text",
+                  text: `❌ Project ${project} is not cloned and cannot verify on GitHub.\n\nUse \`signoff_check_setup\` to configure gh CLI.`,
+                }],
+                isError: true,
+              };
+            }
+            
+            if (repoExistsOnGitHub(project)) {
+              result += `⚠️ Project ${project} exists on GitHub but is not cloned.\n\n`;
+              result += `Would you like to clone it? Use:\n`;
+              result += `\`signoff_clone_project\` with \`repo: "${project}"\`\n`;
+              return { content: [{ type: "text", text: result }] };
+            } else {
+              return {
+                content: [{
+                  type: "text",
+                  text: `❌ Repository not found: ${project}\n\nVerify the name is correct (format: owner/repo).`,
+                }],
+                isError: true,
+              };
+            }
+          }
+        }
+        // Case 3: Local folder name
+        else {
+          const localPath = join(projectsDir, project);
+          
+          if (existsSync(localPath)) {
+            currentProject = localPath;
+            result += `✅ Project selected: ${localPath}\n`;
+          } else {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ Project not found: ${project}\n\nLocal projects are in: ${projectsDir}\n\nUse \`signoff_list_projects\` to see available projects.`,
+              }],
+              isError: true,
+            };
+          }
+        }
+        
+        const hasGovernance = governanceExists();
+        result += `**Governance:** ${hasGovernance ? "✅ Configured" : "⚠️ Not configured"}\n`;
+        
+        if (!hasGovernance) {
+          result += `\n**Next step:** Use \`signoff_setup_governance\` to configure leads.\n`;
+        } else {
+          result += `\n**Next step:** Use \`signoff_status\` to see project status.\n`;
+        }
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      case "signoff_clone_project": {
+        if (!commandExists("gh")) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not installed. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        if (!isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ Not authenticated to GitHub. Use `signoff_authenticate` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const repo = args.repo;
+        const folderName = args.folder_name || repo.split("/")[1];
+        const targetDir = join(projectsDir, folderName);
+        
+        if (existsSync(targetDir)) {
+          return {
+            content: [{
+              type: "text",
+              text: `⚠️ Directory already exists: ${targetDir}\n\nUse \`signoff_select_project\` with \`project: "${folderName}"\` to select it.`,
+            }],
+          };
+        }
+        
+        if (!repoExistsOnGitHub(repo)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Repository not found: ${repo}\n\nVerify the name is correct and that you have access.`,
+            }],
+            isError: true,
+          };
+        }
+        
+        let result = `## Cloning ${repo}\n\n`;
+        result += `Destination: ${targetDir}\n\n`;
+        
+        const cloneResult = cloneRepo(repo, targetDir);
+        
+        if (cloneResult.success) {
+          currentProject = targetDir;
+          notifyResourceListChanged();
+          result += `✅ Successfully cloned!\n\n`;
+          result += `**Active project:** ${targetDir}\n`;
+          
+          const hasGovernance = governanceExists();
+          result += `**Governance:** ${hasGovernance ? "✅ Configured" : "⚠️ Not configured"}\n`;
+          
+          if (!hasGovernance) {
+            result += `\n**Next step:** Use \`signoff_setup_governance\` to configure leads.\n`;
+          }
+        } else {
+          result += `❌ Clone failed: ${cloneResult.error}\n`;
+        }
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      // ===== WORKFLOW TOOLS =====
+      case "signoff_portfolio": {
+        if (args?.refresh && (!commandExists("gh") || !isGhAuthenticated())) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready, so the PRs cannot be checked. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const stalledDays = args?.stalled_days > 0 ? args?.stalled_days : 7;
+        const projects = scanPortfolio({ refresh: args?.refresh });
+        const items = projects.flatMap(project => (project.initiatives || []).map(item => ({ ...item, project: project.name })));
+        
+        let result = `## 🗂️ Portfolio\n\n`;
+        result += `**Projects:** ${projects.length} (${projects.filter(project => project.initiatives?.length > 0).length} with initiatives)\n`;
+        result += `**Initiatives:** ${items.length}\n\n`;
+        
+        if (projects.length === 0) {
+          result += `No projects found in ${projectsDir}. Clone one with \`signoff_clone_project\`, or add one from elsewhere with \`signoff_register_project\`.`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        if (items.length > 0) {
+          // Projects may run different workflows, so steps are listed in the order they first appear
+          const steps = [...new Set(items.flatMap(item => item.artifacts.map(artifact => artifact.step))), "complete"];
+          result += `### Initiatives per step\n\n`;
+          result += `| Step | Initiatives | Status |\n`;
+          result += `|------|-------------|--------|\n`;
+          for (const step of steps) {
+            const atStep = items.filter(item => step === "complete" ? item.status === "complete" : item.status !== "complete" && item.currentStep === step);
+            if (atStep.length === 0) continue;
+            const statuses = {};
+            for (const item of atStep) statuses[item.status] = (statuses[item.status] || 0) + 1;
+            const breakdown = step === "complete" ? "—" : Object.entries(statuses).map(([status, count]) => `${count} ${status.replace(/_/g, " ")}`).join(", ");
+            result += `| ${step === "complete" ? "Complete" : step.toUpperCase()} | ${atStep.length} | ${breakdown} |\n`;
+          }
+          result += `\n`;
+        }
+        
+        const stalledBefore = Date.now() - stalledDays * 24 * 60 * 60 * 1000;
+        const stalled = items
+          .filter(item => item.startedAt && Date.parse(item.startedAt) < stalledBefore)
+          .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+        result += `### ⏰ Stalled (current step older than ${stalledDays} days)\n\n`;
+        if (stalled.length === 0) result += `None.\n`;
+        for (const item of stalled) {
+          result += `- **${item.project} / ${item.key}** ${item.title} — ${item.currentStep.toUpperCase()} ${item.status.replace(/_/g, " ")} for ${formatAge(item.startedAt)}`;
+          if (item.blocking.length > 0) result += ` · blocking: ${item.blocking.map(formatGroupName).join(", ")}`;
+          result += `\n`;
+        }
+        result += `\n`;
+        
+        const byLead = {};
+        for (const item of items) {
+          for (const lead of item.pendingLeads) (byLead[lead] ||= []).push(item);
+        }
+        result += `### 🙋 Pending signoffs by lead\n\n`;
+        if (Object.keys(byLead).length === 0) result += `None.\n`;
+        for (const [lead, pending] of Object.entries(byLead).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))) {
+          result += `- **@${lead}** (${pending.length}): ${pending.map(item => `${item.project} / ${item.key} ${item.currentStep.toUpperCase()}`).join(", ")}\n`;
+        }
+        
+        const failed = projects.filter(project => project.error);
+        if (failed.length > 0) {
+          result += `\n### ⚠️ Projects that could not be read\n\n`;
+          for (const project of failed) result += `- **${project.name}** (${project.path}): ${project.error}\n`;
+        }
+        const ungoverned = projects.filter(project => !project.error && !project.governance);
+        if (ungoverned.length > 0) {
+          result += `\n_No governance yet: ${ungoverned.map(project => project.name).join(", ")}_\n`;
+        }
+        if (!args?.refresh && Object.keys(byLead).length > 0) {
+          result += `\n_Pending signoffs are as of each initiative's last signoff check; pass \`refresh: true\` to re-check the PRs._`;
+        }
+        
+        return { content: [{ type: "text", text: result.trimEnd() }] };
+      }
+
+      case "signoff_inbox": {
+        if (!commandExists("gh") || !isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready, so you cannot be identified. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const me = getGhUser();
+        const projects = scanPortfolio({ refresh: args?.refresh });
+        const ledGroups = projects.flatMap(project => getLeadGroups(project.governance, me).map(group => `${project.name} / ${formatGroupName(group)}`));
+        
+        const pending = [];
+        for (const project of projects) {
+          const myGroups = getLeadGroups(project.governance, me);
+          for (const item of project.initiatives || []) {
+            if (!item.pendingLeads.includes(me)) continue;
+            const groups = item.awaiting.filter(group => myGroups.includes(group.group) && !group.approvers.includes(me)).map(group => group.group);
+            pending.push({ ...item, project, groups });
+          }
+        }
+        // Longest wait first; reviews opened before the audit trail existed go last
+        pending.sort((a, b) => (a.waitingSince ? Date.parse(a.waitingSince) : Infinity) - (b.waitingSince ? Date.parse(b.waitingSince) : Infinity));
+        
+        let result = `## 📥 Pending signoffs for @${me}\n\n`;
+        result += `**Your groups:** ${ledGroups.join(", ") || "none — you are not a lead in any project"}\n\n`;
+        
+        if (pending.length === 0) {
+          result += `✅ Nothing is waiting for your approval.\n\n`;
+        }
+        for (const item of pending) {
+          result += `### ${item.project.name} / ${item.key} — ${item.currentStep.toUpperCase()}\n`;
+          result += `**Initiative:** ${item.title}\n`;
+          result += `**PR:** ${item.prUrl}\n`;
+          result += `**Waiting:** ${item.waitingSince ? formatAge(item.waitingSince) : "unknown"}\n`;
+          for (const group of item.groups) {
+            const ticket = item.tickets[group];
+            result += `- **${formatGroupName(group)}:** ${ticket?.key ? `ticket [${ticket.key}](${ticket.url})` : "no ticket"}\n`;
+          }
+          result += `\n`;
+        }
+        
+        if (args?.requested_reviews) {
+          // PRs already listed above are not repeated; the rest are signoff PRs this server has no state for
+          const listed = new Set(pending.map(item => item.prUrl));
+          const requested = [];
+          const failed = [];
+          for (const project of projects.filter(project => !project.error)) {
+            const prs = withProject(project.path, listRequestedSignoffReviews);
+            if (!prs) failed.push(project.name);
+            else requested.push(...prs.filter(pr => !listed.has(pr.url)).map(pr => ({ ...pr, project: project.name })));
+          }
+          
+          result += `### 👀 Other review requests on bmad/* branches\n\n`;
+          if (requested.length === 0) result += `None.\n`;
+          for (const pr of requested) {
+            result += `- **${pr.project}** [#${pr.number}](${pr.url}) ${pr.title} (\`${pr.headRefName}\`, waiting ${formatAge(pr.createdAt)})\n`;
+          }
+          if (failed.length > 0) result += `\n⚠️ Could not list the PRs of: ${failed.join(", ")}\n`;
+        }
+        
+        const unreadable = projects.filter(project => project.error);
+        if (unreadable.length > 0) {
+          result = `${result.trimEnd()}\n\n⚠️ Could not read: ${unreadable.map(project => `${project.name} (${project.error.split("\n")[0]})`).join(", ")}\n`;
+        }
+        if (!args?.refresh && pending.length > 0) {
+          result = `${result.trimEnd()}\n\n_Signoffs are as of each initiative's last signoff check; pass \`refresh: true\` to re-check the PRs._`;
+        }
+        
+        return { content: [{ type: "text", text: result.trimEnd() }] };
+      }
+
+      case "signoff_register_project": {
+        const path = args.path.startsWith("~") ? args.path.replace("~", homedir()) : args.path;
+        if (!path.startsWith("/") && !/^[A-Za-z]:/.test(path)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Use an absolute path (e.g. /Users/me/work/repo or ~/work/repo), not ${args.path}.`,
+            }],
+            isError: true,
+          };
+        }
+        
+        const registered = loadRegisteredProjects();
+        let result = `## Portfolio Projects\n\n`;
+        if (args.remove) {
+          if (!registered.includes(path)) {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ ${path} is not registered. Registered paths: ${registered.join(", ") || "none"}`,
+              }],
+            };
+          }
+          saveRegisteredProjects(registered.filter(item => item !== path));
+          result += `✅ Removed ${path}\n\n`;
+        } else {
+          if (!existsSync(path)) {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ Directory does not exist: ${path}`,
+              }],
+              isError: true,
+            };
+          }
+          if (!registered.includes(path)) saveRegisteredProjects([...registered, path]);
+          result += registered.includes(path) ? `↩️ ${path} is already registered\n\n` : `✅ Registered ${path}\n\n`;
+        }
+        
+        notifyResourceListChanged();
+        const current = loadRegisteredProjects();
+        result += `**Registered paths** (in addition to ${projectsDir}):\n`;
+        result += current.length > 0 ? current.map(item => `- ${item}`).join("\n") : `- none`;
+        result += `\n\nUse \`signoff_portfolio\` for the summary across all projects.`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+
+      case "signoff_status": {
+        const projectRoot = getProjectRoot();
+        let result = `## Signoff Flow Status\n\n`;
+        
+        // Check if no project is selected
+        if (!projectRoot) {
+          result += `### ⚠️ No project selected\n\n`;
+          result += `You need to select a project first. Let me help you find one.\n\n`;
+          
+          // Check if gh is available to list projects
+          if (commandExists("gh") && isGhAuthenticated()) {
+            const user = getGhUser();
+            result += `You're authenticated as **@${user}**.\n\n`;
+            
+            // Show local projects if any
+            const localProjects = getLocalProjects();
+            if (localProjects.length > 0) {
+              result += `### 📁 Local Projects\n\n`;
+              for (const proj of localProjects.slice(0, 5)) {
+                const govIcon = proj.hasGovernance ? "✅" : "⚪";
+                result += `- **${proj.name}** ${govIcon}\n`;
+              }
+              result += `\n`;
+            }
+            
+            // Show organizations
+            const orgs = listGhOrgs();
+            if (orgs.length > 0) {
+              result += `### 🏢 Your Organizations\n\n`;
+              for (const org of orgs.slice(0, 5)) {
+                result += `- ${org}\n`;
+              }
+              result += `\n`;
+            }
+            
+            // Show user repos
+            const userRepos = listUserRepos(5);
+            if (userRepos.length > 0) {
+              result += `### 📂 Your Recent Repositories\n\n`;
+              for (const repo of userRepos.slice(0, 5)) {
+                result += `- ${repo.owner.login}/${repo.name}\n`;
+              }
+              result += `\n`;
+            }
+            
+            result += `---\n\n`;
+            result += `**To select a project:**\n`;
+            result += `- Use \`signoff_select_project\` with the project name or path\n`;
+            result += `- Use \`signoff_clone_project\` to clone a repo (e.g., \`org/repo-name\`)\n`;
+            result += `- Use \`signoff_list_projects\` with \`org: "ORG_NAME"\` to see repos in an organization\n`;
+          } else {
+            result += `To get started, use \`signoff_check_setup\` to verify your environment.\n`;
+          }
+          
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        result += `**Project:** ${projectRoot}\n\n`;
+        
+        const hasGovernance = governanceExists();
+        result += `**Governance:** ${hasGovernance ? "✅ Configured" : "❌ Not configured"}\n\n`;
+        
+        if (hasGovernance) {
+          const governance = loadGovernance();
+          result += `**Jira Project:** ${governance?.jira?.project_key || "Unknown"}\n`;
+          for (const [group, config] of Object.entries(governance.groups)) {
+            result += `**${formatGroupName(group)} Leads:** ${config.leads.github_users.join(", ") || "None"}\n`;
+          }
+          result += `**Workflow:** ${loadWorkflow().steps.map(step => step.id).join(" → ")}\n\n`;
+        } else {
+          result += `**Next step:** Use \`signoff_setup_governance\` to configure leads.\n\n`;
+        }
+        
+        if (args?.initiative_key) {
+          const state = loadInitiativeState(args.initiative_key);
+          if (state) {
+            result += `### Initiative: ${args.initiative_key}\n`;
+            result += `**Current Step:** ${state.currentStep}\n`;
+            const steps = getInitiativeSteps(state);
+            const stepIndex = steps.indexOf(state.currentStep);
+            result += `**Progress:** ${stepIndex + 1}/${steps.length} (${steps.join(" → ")})\n`;
+            
+            const active = state.artifacts[state.currentStep];
+            if (state.phase !== "complete" && active.pr_number && commandExists("gh") && isGhAuthenticated()) {
+              let pr = null;
+              try {
+                pr = getPullRequest(active.pr_number);
+              } catch (error) {
+                result += `**PR:** ⚠️ ${error.message}\n\n`;
+              }
+              if (pr) {
+                const signoffs = evaluateSignoffs(pr, loadGovernance(), active.required_groups, state.currentStep, getCarriedApprovals(active, pr));
+                result += `**PR:** ${pr.url} (${pr.state.toLowerCase()})\n\n`;
+                result += `**Signoffs:**\n`;
+                for (const group of signoffs.groups) {
+                  result += `- ${group.satisfied ? "✅" : "⏳"} ${formatSignoffProgress(group)}\n`;
+                }
+              }
+            }
+            
+            const stale = findStaleSignoffs(args.initiative_key);
+            if (stale.length > 0) {
+              result += `\n**Stale signoffs:**\n${formatStaleSignoffs(stale)}`;
+              result += `\nRun \`signoff_advance\` with \`reopen_stale: true\` to reopen these steps.\n`;
+            }
+          } else {
+            result += `\n❌ Initiative ${args.initiative_key} not found.\n`;
+          }
+        }
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+
+      case "signoff_setup_governance": {
+        const projectRoot = getProjectRoot();
+        if (!projectRoot) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ No project selected. Use `signoff_select_project` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const govPath = getGovernancePath();
+        mkdirSync(join(projectRoot, "_bmad-output", "governance"), { recursive: true });
+        
+        const leads = {};
+        if (args?.ba_leads) leads.ba = args?.ba_leads;
+        if (args?.design_leads) leads.design = args?.design_leads;
+        if (args?.dev_leads) leads.dev = args?.dev_leads;
+        Object.assign(leads, args?.groups);
+        
+        const invalidGroups = Object.keys(leads).filter(group => !GROUP_NAME_PATTERN.test(group));
+        if (invalidGroups.length > 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Invalid group name: ${invalidGroups.join(", ")}. Use lowercase letters, digits, "-" and "_" (e.g. "qa", "security").`,
+            }],
+            isError: true,
+          };
+        }
+        
+        const existingGroups = Object.keys(loadGovernance()?.groups || {});
+        if (Object.keys(leads).length === 0 && existingGroups.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ No signoff groups given. Pass `groups` (or `ba_leads`, `design_leads`, `dev_leads`) with the leads of each group.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const workflow = loadWorkflow();
+        const unknownGroups = [...new Set(workflow.steps.flatMap(step => step.required_groups))]
+          .filter(group => !leads[group] && !existingGroups.includes(group));
+        if (unknownGroups.length > 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ The workflow requires signoff from groups that have no leads: ${unknownGroups.join(", ")}.\n\nEdit ${displayPath(getWorkflowPath())} or configure those groups.`,
+            }],
+            isError: true,
+          };
+        }
+        
+        const previous = loadGovernance();
+        const tracker = args?.tracker || previous?.tracker || "jira";
+        const projectKey = args?.jira_project_key || previous?.jira?.project_key;
+        if (tracker === "jira" && !projectKey) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ `jira_project_key` is required when signoff tickets go to Jira. Pass it, or set `tracker: \"github\"` to use GitHub Issues.",
+            }],
+            isError: true,
+          };
+        }
+        
+        if (existsSync(govPath)) {
+          // Keep hand-edited fields (team slugs, Jira account IDs, other groups) and only replace what was given
+          updateYamlFile(govPath, GOVERNANCE_SCHEMA, doc => {
+            for (const [group, users] of Object.entries(leads)) {
+              if (doc.hasIn(["groups", group])) {
+                setYamlValue(doc, ["groups", group, "leads", "github_users"], users);
+              } else {
+                setYamlValue(doc, ["groups", group], newGovernanceGroup(users));
+              }
+            }
+            if (args?.tracker) setYamlValue(doc, ["tracker"], args?.tracker);
+            if (args?.jira_project_key) setYamlValue(doc, ["jira", "project_key"], args?.jira_project_key);
+          });
+        } else {
+          const groups = {};
+          for (const [group, users] of Object.entries(leads)) {
+            groups[group] = newGovernanceGroup(users);
+          }
+          
+          writeYamlFile(govPath, {
+            version: 1,
+            groups,
+            tracker,
+            jira: {
+              project_key: projectKey || "",
+              issue_types: { signoff_request: "Task" },
+            },
+          });
+          notifyResourceListChanged();
+        }
+        
+        if (!existsSync(getWorkflowPath())) {
+          writeYamlFile(getWorkflowPath(), DEFAULT_WORKFLOW);
+        }
+        
+        const governance = loadGovernance();
+        
+        // Initiatives still in flight are signed off against these leads, so their audit trail notes the change
+        const changedGroups = {};
+        for (const [group, config] of Object.entries(governance.groups)) {
+          const before = previous?.groups?.[group]?.leads.github_users || [];
+          if (before.join(",") !== config.leads.github_users.join(",")) {
+            changedGroups[group] = { before, after: config.leads.github_users };
+          }
+        }
+        const jiraChanged = Boolean(args?.jira_project_key) && (previous?.jira?.project_key || "") !== args?.jira_project_key;
+        const trackerChanged = Boolean(previous) && (previous.tracker || "jira") !== tracker;
+        if (Object.keys(changedGroups).length > 0 || jiraChanged || trackerChanged) {
+          for (const key of listInitiativeKeys()) {
+            if (loadInitiativeState(key).phase === "complete") continue;
+            recordHistory(key, {
+              type: "governance_changed",
+              details: {
+                groups: changedGroups,
+                ...(jiraChanged ? { jira_project_key: args?.jira_project_key } : {}),
+                ...(trackerChanged ? { tracker } : {}),
+              },
+            });
+          }
+        }
+        
+        let result = `✅ Governance configured!\n\n**Path:** ${govPath}\n**Tracker:** ${tracker === "github" ? "GitHub Issues" : "Jira"}\n`;
+        if (projectKey) result += `**Jira Project:** ${projectKey}\n`;
+        for (const [group, config] of Object.entries(governance.groups)) {
+          result += `**${formatGroupName(group)} Leads:** ${config.leads.github_users.join(", ") || "None"}\n`;
+        }
+        
+        if (args?.lead_emails || args?.jira_accounts || getJiraConfig(governance)) {
+          const resolution = await resolveJiraAccounts(governance, { emails: args?.lead_emails, accounts: args?.jira_accounts });
+          const unresolved = resolution.matched.length > 0 ? saveJiraAccounts(governance, resolution.matched) : [];
+          result += `\n${formatJiraAccounts(resolution)}${formatUnresolvedLeads(unresolved)}`;
+        }
+        result += `\nCommit \`${relative(projectRoot, dirname(govPath))}\` to the default branch yourself: signoff PRs only carry the files of their initiative.`;
+        result += `\nYou can now create initiatives with \`signoff_new_initiative\`.`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+
+      case "signoff_resolve_jira_accounts": {
+        if (!getProjectRoot()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ No project selected. Use `signoff_select_project` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        if (!governanceExists()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ Governance not configured. Use `signoff_setup_governance` first.",
+            }],
+          };
+        }
+        
+        const governance = loadGovernance();
+        const resolution = await resolveJiraAccounts(governance, { emails: args?.lead_emails, accounts: args?.jira_accounts });
+        const unresolved = resolution.matched.length > 0 ? saveJiraAccounts(governance, resolution.matched) : [];
+        
+        let result = `## 🔗 Jira accounts for governance leads\n\n`;
+        result += formatJiraAccounts(resolution);
+        result += formatUnresolvedLeads(unresolved);
+        if (resolution.matched.length > 0) result += `\nSaved to ${displayPath(getGovernancePath())}.`;
+        
+        return { content: [{ type: "text", text: result.trimEnd() }] };
+      }
+
+      case "signoff_new_initiative": {
+        if (!getProjectRoot()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ No project selected. Use `signoff_select_project` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        if (!governanceExists()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ Governance not configured. Use `signoff_setup_governance` first.",
+            }],
+          };
+        }
+        
+        if (initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} already exists. Use \`signoff_advance\` to continue.`,
+            }],
+          };
+        }
+        
+        const definedGroups = Object.keys(loadGovernance().groups);
+        const undefinedGroups = [...new Set(loadWorkflow().steps.flatMap(step => step.required_groups))]
+          .filter(group => !definedGroups.includes(group));
+        if (undefinedGroups.length > 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ The workflow requires signoff from groups that are not in governance: ${undefinedGroups.join(", ")}.\n\nAdd them with \`signoff_setup_governance\` (\`groups\`) first.`,
+            }],
+          };
+        }
+        
+        const result = createInitiative(args.key, args.title);
+        const missingRoles = findMissingRoles(loadInitiativeState(args.key));
+        const roleWarning = missingRoles.length === 0 ? "" :
+          `\n\n⚠️ No workflow step has these roles, so what they drive is off for this initiative:\n${missingRoles.map(role => `- \`${role}\`: ${STEP_ROLES[role]}`).join("\n")}\nAdd \`role:\` to a step in workflow.yaml to turn it on for new initiatives.`;
+        
+        return {
+          content: [{
+            type: "text",
+            text: `✅ Initiative created!\n\n**Key:** ${result.key}\n**Title:** ${result.title}\n**Path:** ${result.path}\n**Current Step:** ${result.firstStep.id}\n\nNext: Use \`signoff_advance\` to create the ${result.firstStep.title} artifact and PR.${roleWarning}`,
+          }],
+        };
+      }
+
+      case "signoff_advance": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
+        
+        const state = loadInitiativeState(args.key);
+        const currentStep = state.currentStep;
+        const steps = getInitiativeSteps(state);
+        const stepIndex = steps.indexOf(currentStep);
+        
+        if (stepIndex === -1) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown step: ${currentStep}`,
+            }],
+          };
+        }
+        
+        // Signoffs only hold while the content they approved is unchanged
+        const stale = findStaleSignoffs(args.key);
+        if (stale.length > 0) {
+          if (!args.reopen_stale) {
+            return {
+              content: [{
+                type: "text",
+                text: `⚠️ Signed-off artifacts changed after their signoff:\n\n${formatStaleSignoffs(stale)}\nRun \`signoff_advance\` with \`reopen_stale: true\` to reopen these steps for a new signoff, or revert the changes.`,
+              }],
+            };
+          }
+          
+          const reopened = reopenStaleSignoffs(args.key, stale);
+          return {
+            content: [{
+              type: "text",
+              text: `🔁 Reopened ${reopened.map(step => step.toUpperCase()).join(", ")} for signoff.\n\n${formatStaleSignoffs(stale)}\n**Current step:** ${reopened[0].toUpperCase()}\n\nRun \`signoff_advance\` again to open a new signoff PR.`,
+            }],
+          };
+        }
+        
+        if (state.phase === "complete") {
+          return {
+            content: [{
+              type: "text",
+              text: `✅ Initiative ${args.key} is complete! All artifacts have been signed off.`,
+            }],
+          };
+        }
+        
+        const groups = state.artifacts[currentStep].required_groups;
+        
+        // First run on a step: create the artifact and wait for its PR
+        if (!existsSync(getArtifactPath(args.key, currentStep))) {
+          const artifactPath = startArtifactStep(args.key, currentStep);
+          const report = currentStep === getRoleStep(state, "readiness") ? await writeReadinessReport(args.key) : null;
+          const branch = state.artifacts[currentStep]?.branch || `bmad/${args.key}/${currentStep}`;
+          
+          return {
+            content: [{
+              type: "text",
+              text: `✅ Artifact created!\n\n**Initiative:** ${args.key}\n**Step:** ${currentStep.toUpperCase()}\n**Artifact:** ${artifactPath}\n**Required signoffs:** ${groups.join(", ")}${report ? `\n**Readiness:** ${formatReadinessDecision(report)}` : ""}\n\n**Next steps:**\n1. ${report ? "Review the generated report, tick the checklist items that are done and add notes" : "Complete the draft artifact"}\n2. Run \`signoff_advance\` again to open the signoff PR on branch \`${branch}\` with lead reviewers\n3. Create Jira tickets with \`signoff_create_jira_tickets\`\n4. When PR is merged, run \`signoff_advance\` again`,
+            }],
+          };
+        }
+        
+        if (!commandExists("gh") || !isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready, so the PR cannot be checked. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const active = state.artifacts[currentStep] || {};
+        const branch = active.branch || `bmad/${args.key}/${currentStep}`;
+        
+        if (active.status === "changes_requested") {
+          const request = active.changes_requested || {};
+          return {
+            content: [{
+              type: "text",
+              text: `🔁 Changes requested on ${currentStep.toUpperCase()}${request.group ? ` by ${formatGroupName(request.group)}` : ""}.\n\n**Reason:** ${request.reason || "(none given)"}\n\nUpdate the artifact, then run \`signoff_resubmit\` to send it back for review.`,
+            }],
+          };
+        }
+        
+        // A draft has no PR of its own yet; one found on its branch belongs to an earlier signoff
+        const pr = active.status === "draft" ? null : getPullRequest(active.pr_number || branch);
+        
+        // Draft is ready but not submitted (or its PR was closed): open the signoff PR
+        if (!pr || pr.state === "CLOSED") {
+          const blocked = await checkReadinessGate(args.key, currentStep, "signoff_advance") || checkLintGate(args.key, currentStep, "signoff_advance") || checkTraceabilityGate(args.key, currentStep, "signoff_advance");
+          if (blocked) return blocked;
+          const opened = openArtifactPullRequest(args.key, currentStep);
+          return {
+            content: [{ type: "text", text: formatPullRequestResult(args.key, currentStep, opened) }],
+            isError: !opened.success,
+          };
+        }
+        
+        const governance = loadGovernance();
+        const signoffs = evaluateSignoffs(pr, governance, groups, currentStep, getCarriedApprovals(active, pr));
+        const merged = pr.state === "MERGED";
+        
+        // Merged too early: a merged PR cannot collect the missing approvals, so the step needs a new PR
+        if (merged && signoffs.missing.length > 0) {
+          recordReviewEvents(args.key, currentStep, pr);
+          const missing = signoffs.missing.map(group => `- ❌ **${group.group.toUpperCase()}** ${formatSignoffProgress(group)}\n`).join("");
+          
+          if (!args.reopen_merged) {
+            return {
+              content: [{
+                type: "text",
+                text: `⚠️ ${pr.url} was merged before ${currentStep.toUpperCase()} was signed off:\n\n${missing}\nRun \`signoff_advance\` with \`reopen_merged: true\` to reopen ${currentStep.toUpperCase()} for signoff with a new PR.`,
+              }],
+            };
+          }
+          
+          // Pick up the merged artifact first, so the new PR starts from what was merged
+          const checkout = checkoutBaseBranch(args.key);
+          if (!checkout.success) {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ Could not pull the merged changes to reopen ${currentStep.toUpperCase()}: ${checkout.error}\n\nCommit or discard local changes in the project, then run \`signoff_advance\` again.`,
+              }],
+              isError: true,
+            };
+          }
+          reopenMergedStep(args.key, currentStep, pr, signoffs.missing);
+          
+          return {
+            content: [{
+              type: "text",
+              text: `🔁 Reopened ${currentStep.toUpperCase()} for signoff.\n\n**Merged PR:** ${pr.url}\n${missing}\nRun \`signoff_advance\` again to open a new signoff PR.`,
+            }],
+          };
+        }
+        
+        if (!merged) {
+          recordReviewEvents(args.key, currentStep, pr);
+          
+          let result = `## ⏳ ${currentStep.toUpperCase()} signoff not complete\n\n`;
+          result += `**Initiative:** ${args.key}\n`;
+          result += `**PR:** ${pr.url} (${pr.state.toLowerCase()})\n\n`;
+          
+          for (const group of signoffs.groups) {
+            result += `- ${group.satisfied ? "✅" : "❌"} **${group.group.toUpperCase()}** ${formatSignoffProgress(group)}`;
+            result += group.satisfied || group.pending.length === 0 ? `\n` : ` — waiting on: ${group.pending.join(", ")}\n`;
+          }
+          
+          result += `\n**Blocking:**\n`;
+          if (signoffs.missing.length > 0) {
+            result += `- Missing groups: ${signoffs.missing.map(m => m.group).join(", ")}\n`;
+          }
+          result += `- PR is not merged yet\n`;
+          result += `\nRun \`signoff_advance\` again once the PR is approved by every group and merged.`;
+          
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        // Gate met: pick up the merged files, record the signoff and move to the next step
+        const checkout = checkoutBaseBranch(args.key);
+        if (!checkout.success) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ ${currentStep.toUpperCase()} is signed off, but the merged changes could not be pulled: ${checkout.error}\n\nCommit or discard local changes in the project, then run \`signoff_advance\` again.`,
+            }],
+            isError: true,
+          };
+        }
+        
+        recordReviewEvents(args.key, currentStep, pr);
+        
+        const nextStep = steps[stepIndex + 1];
+        updateInitiativeState(args.key, doc => {
+          setYamlValue(doc, ["artifacts", currentStep, "active", "pr_url"], pr.url);
+          setYamlValue(doc, ["artifacts", currentStep, "active", "pr_number"], pr.number);
+          setYamlValue(doc, ["artifacts", currentStep, "active", "status"], "approved");
+          const revisions = state.data.artifacts[currentStep].revisions || [];
+          if (revisions.length > 0) {
+            setYamlValue(doc, ["artifacts", currentStep, "revisions", revisions.length - 1, "status"], "approved");
+          }
+          if (nextStep) {
+            setYamlValue(doc, ["current_step"], nextStep);
+          } else {
+            setYamlValue(doc, ["phase"], "complete");
+          }
+        });
+        recordSignoffs(args.key, currentStep, signoffs);
+        recordSignoffHashes(args.key, currentStep);
+        recordHistory(args.key, {
+          type: "step_advanced",
+          step: currentStep,
+          details: {
+            from: currentStep,
+            to: nextStep || "complete",
+            pr_url: pr.url,
+            pr_number: pr.number,
+            approvals: Object.fromEntries(signoffs.approved.map(group => [group.group, group.approvers])),
+          },
+        });
+        
+        const approvals = signoffs.approved.map(a => `${a.group} (${a.approvers.join(", ")})`).join(", ");
+        appendTimeline(args.key, {
+          title: `${currentStep.toUpperCase()} Signed Off`,
+          content: `- **Step:** ${currentStep}\n- **PR:** ${pr.url}\n- **Approvals:** ${approvals}\n- **Transition:** ${currentStep} → ${nextStep || "complete"}`,
+        });
+        
+        if (!nextStep) {
+          return {
+            content: [{
+              type: "text",
+              text: `✅ ${currentStep.toUpperCase()} signed off!\n\n**Approvals:** ${approvals}\n\n🎉 Initiative ${args.key} is complete! All artifacts have been signed off.`,
+            }],
+          };
+        }
+        
+        const artifactPath = startArtifactStep(args.key, nextStep);
+        const report = nextStep === getRoleStep(state, "readiness") ? await writeReadinessReport(args.key) : null;
+        const nextGroups = state.artifacts[nextStep].required_groups;
+        const nextBranch = state.artifacts[nextStep]?.branch || `bmad/${args.key}/${nextStep}`;
+        
+        return {
+          content: [{
+            type: "text",
+            text: `✅ ${currentStep.toUpperCase()} signed off!\n\n**Approvals:** ${approvals}\n\n**Initiative:** ${args.key}\n**Step:** ${nextStep.toUpperCase()}\n**Artifact:** ${artifactPath}\n**Required signoffs:** ${nextGroups.join(", ")}${report ? `\n**Readiness:** ${formatReadinessDecision(report)}` : ""}\n\n**Next steps:**\n1. ${report ? "Review the generated report, tick the checklist items that are done and add notes" : "Complete the draft artifact"}\n2. Run \`signoff_advance\` again to open the signoff PR on branch \`${nextBranch}\` with lead reviewers\n3. Create Jira tickets with \`signoff_create_jira_tickets\`\n4. When PR is merged, run \`signoff_advance\` again`,
+          }],
+        };
+      }
+
+      case "signoff_open_pr": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
+        
+        const state = loadInitiativeState(args.key);
+        const step = args.artifact || state.currentStep;
+        
+        if (!state.artifacts[step]) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
         
-        if (!ghInstalled) {
-          result += `### ❌ gh CLI not installed\n\n`;
-          
-          if (autoInstall) {
-            result += `Installing gh CLI automatically...\n\n`;
-            const installResult = await installGhCli();
-            
-            if (installResult.success) {
-              result += `✅ ${installResult.message}\n\n`;
-            } else {
-              result += `⚠️ ${installResult.message}\n\n`;
-              return { content: [{ type: "text", text: result }] };
-            }
-          } else {
-            result += `To install manually:\n`;
-            if (os === "macos") {
-              result += `\`\`\`bash\nbrew install gh\n\`\`\`\n`;
-            } else if (os === "windows") {
-              result += `\`\`\`powershell\nwinget install --id GitHub.cli\n\`\`\`\n`;
-            }
-            return { content: [{ type: "text", text: result }] };
-          }
-        } else {
-          result += `### ✅ gh CLI installed\n\n`;
+        if (!existsSync(getArtifactPath(args.key, step))) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ The ${step.toUpperCase()} artifact has not been created yet. Use \`signoff_advance\` first.`,
+            }],
+          };
         }
         
-        // Check authentication
-        const isAuth = isGhAuthenticated();
+        if (!commandExists("gh") || !isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
         
-        if (!isAuth) {
-          result += `### ❌ Not authenticated to GitHub\n\n`;
-          result += `You need to authenticate to access your repositories.\n\n`;
-          result += `**Next step:** Use the \`signoff_authenticate\` tool to start the login process.\n`;
-          
-          return { 
-            content: [{ type: "text", text: result }],
-            isError: false,
+        const blocked = await checkReadinessGate(args.key, step, "signoff_open_pr") || checkLintGate(args.key, step, "signoff_open_pr") || checkTraceabilityGate(args.key, step, "signoff_open_pr");
+        if (blocked) return blocked;
+        const opened = openArtifactPullRequest(args.key, step);
+        return {
+          content: [{ type: "text", text: formatPullRequestResult(args.key, step, opened) }],
+          isError: !opened.success,
+        };
+      }
+
+      case "signoff_request_changes": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
           };
         }
         
-        const user = getGhUser();
-        result += `### ✅ Authenticated as: ${user}\n\n`;
+        const state = loadInitiativeState(args.key);
+        const step = args.artifact || state.currentStep;
+        const active = state.artifacts[step];
         
-        // Check if project is selected
-        if (currentProject) {
-          result += `### ✅ Active project: ${currentProject}\n\n`;
-        } else {
-          result += `### ⚠️ No project selected\n\n`;
-          result += `**Next step:** Use \`signoff_list_projects\` to see available projects.\n`;
+        if (!active) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
         }
         
-        result += `\n---\n\n**Status:** ✅ Ready to use\n`;
+        if (active.status !== "in_review") {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ ${step.toUpperCase()} is not under review (status: ${active.status}). Changes can only be requested on an open signoff PR.`,
+            }],
+          };
+        }
         
-        return { content: [{ type: "text", text: result }] };
-      }
-      
-      case "signoff_authenticate": {
-        let result = `## 🔐 GitHub Authentication\n\n`;
+        if (!active.required_groups.includes(args.group)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ ${args.group} does not sign off ${step.toUpperCase()}. Required groups: ${active.required_groups.join(", ")}`,
+            }],
+          };
+        }
         
-        if (isGhAuthenticated()) {
-          const user = getGhUser();
-          result += `✅ You are already authenticated as **${user}**\n\n`;
-          result += `If you want to switch accounts, run in terminal:\n\`\`\`bash\ngh auth logout\ngh auth login\n\`\`\`\n`;
-          return { content: [{ type: "text", text: result }] };
+        const governance = loadGovernance();
+        const ghReady = commandExists("gh") && isGhAuthenticated();
+        const user = ghReady ? getGhUser() : null;
+        const isLead = Boolean(user) && governance.groups[args.group]?.leads.github_users.includes(user);
+        
+        // Mirror the request on the PR: a lead's own review blocks it, anyone else leaves a comment
+        let prNote = "";
+        if (ghReady && active.pr_number) {
+          const body = `🔁 Changes requested by ${formatGroupName(args.group)}:\n\n${args.reason}`;
+          try {
+            if (isLead) {
+              runGh(["pr", "review", String(active.pr_number), "--request-changes", "--body", body]);
+              prNote = `Requested changes on the PR as @${user}.`;
+            } else {
+              runGh(["pr", "comment", String(active.pr_number), "--body", body]);
+              prNote = "Posted the reason as a PR comment.";
+            }
+          } catch (error) {
+            prNote = `⚠️ Could not update the PR: ${error.stderr?.trim() || error.message}`;
+          }
         }
         
-        result += `To authenticate, please follow these steps:\n\n`;
-        result += `1. **Open a terminal** on your computer\n`;
-        result += `2. **Run this command:**\n`;
-        result += `\`\`\`bash\ngh auth login\n\`\`\`\n`;
-        result += `3. **Follow the prompts:**\n`;
-        result += `   - Select "GitHub.com"\n`;
-        result += `   - Select "HTTPS"\n`;
-        result += `   - Select "Login with a web browser"\n`;
-        result += `   - Copy the code that appears\n`;
-        result += `   - Your browser will open, paste the code\n`;
-        result += `   - Authorize the application\n\n`;
-        result += `4. **When done**, come back here and use \`signoff_check_setup\` to verify.\n`;
+        const requestedAt = new Date().toISOString();
+        updateInitiativeState(args.key, doc => {
+          setYamlValue(doc, ["artifacts", step, "active", "status"], "changes_requested");
+          setYamlValue(doc, ["artifacts", step, "active", "changes_requested"], {
+            group: args.group,
+            reason: args.reason,
+            requested_by: user || "unknown",
+            requested_at: requestedAt,
+          });
+          const revisions = state.data.artifacts[step].revisions || [];
+          if (revisions.length > 0) {
+            setYamlValue(doc, ["artifacts", step, "revisions", revisions.length - 1, "status"], "changes_requested");
+            setYamlValue(doc, ["artifacts", step, "revisions", revisions.length - 1, "reason"], args.reason);
+          }
+        });
+        recordHistory(args.key, {
+          type: "changes_requested",
+          actor: user,
+          at: requestedAt,
+          step,
+          details: { group: args.group, reason: args.reason, revision: active.revision || 1 },
+        });
+        
+        appendTimeline(args.key, {
+          title: `${step.toUpperCase()} Changes Requested`,
+          content: `- **Step:** ${step}\n- **Group:** ${args.group}\n- **Requested by:** ${user || "unknown"}\n- **Revision:** ${active.revision || 1}\n- **Reason:** ${args.reason}`,
+        });
+        
+        let result = `🔁 Changes requested on ${step.toUpperCase()}\n\n`;
+        result += `**Initiative:** ${args.key}\n`;
+        result += `**Group:** ${formatGroupName(args.group)}\n`;
+        result += `**Reason:** ${args.reason}\n`;
+        if (prNote) result += `\n${prNote}\n`;
+        result += `\n**Next steps:**\n1. Update the artifact\n2. Run \`signoff_resubmit\` to send it back for review`;
         
         return { content: [{ type: "text", text: result }] };
       }
       
-      // ===== PROJECT MANAGEMENT TOOLS =====
-      case "signoff_list_projects": {
-        if (!commandExists("gh")) {
+      case "signoff_lint_artifact": {
+        if (!initiativeExists(args.key)) {
           return {
             content: [{
               type: "text",
-              text: "❌ gh CLI is not installed. Use `signoff_check_setup` first.",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
             }],
-            isError: true,
           };
         }
         
-        let result = `## 📁 Available Projects\n\n`;
+        const state = loadInitiativeState(args.key);
+        const step = args.artifact || state.currentStep;
+        if (!state.artifacts[step]) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
+        if (!existsSync(getArtifactPath(args.key, step))) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ The ${step.toUpperCase()} artifact has not been created yet. Use \`signoff_advance\` first.`,
+            }],
+          };
+        }
         
-        // Local projects
-        const localProjects = getLocalProjects();
+        const lint = lintArtifact(args.key, step);
+        return { content: [{ type: "text", text: formatLintResult(args.key, step, lint) }] };
+      }
+
+      case "signoff_traceability": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
         
-        result += `### Local Projects (${projectsDir})\n\n`;
+        const trace = buildTraceability(args.key);
+        return { content: [{ type: "text", text: formatTraceability(args.key, trace) }] };
+      }
+
+      case "signoff_readiness_report": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
         
-        if (localProjects.length === 0) {
-          result += `*No projects cloned yet.*\n\n`;
+        const state = loadInitiativeState(args.key);
+        const artifact = state.artifacts[getRoleStep(state, "readiness")];
+        if (!artifact) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} has no readiness step: no step of its workflow has \`role: readiness\`. Steps: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
+        
+        // A signed-off report stays as signed; before the step starts the report is only previewed
+        const started = artifact.status !== "none" && artifact.status !== "approved";
+        if (args.dry_run || !started) {
+          const report = await buildReadinessReport(args.key);
+          let result = formatReadinessReport(args.key, report);
+          if (artifact.status === "approved") result += `\n\n_${artifact.title} is already signed off, so its report was not rewritten._`;
+          else if (!started) result += `\n\n_Preview only: the report is written when the initiative reaches ${artifact.title}._`;
+          else result += `\n\n_Dry run: the report was not written._`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        const report = await writeReadinessReport(args.key);
+        const submit = { draft: "signoff_advance", changes_requested: "signoff_resubmit" }[artifact.status] || "signoff_open_pr";
+        let result = formatReadinessReport(args.key, report);
+        if (report.decision === "no_go") {
+          result += `\n\nResolve the blockers, then run \`signoff_readiness_report\` again.`;
+          result += report.rules.enforce
+            ? ` The signoff PR cannot be opened while the report says NO-GO.`
+            : ` _Not enforced (\`readiness.enforce: false\` in governance.yaml), so \`${submit}\` can still send it to signoff._`;
         } else {
-          for (const proj of localProjects) {
-            const govIcon = proj.hasGovernance ? "✅" : "⚪";
-            const activeIcon = currentProject === proj.path ? "👉 " : "";
-            result += `${activeIcon}- **${proj.name}** ${govIcon}\n`;
-            result += `  Path: \`${proj.path}\`\n`;
-            if (proj.remoteUrl) {
-              result += `  Remote: ${proj.remoteUrl}\n`;
-            }
-            result += `\n`;
-          }
+          result += `\n\nTick the checklist items that are done and add notes, then run \`${submit}\` to send the report to signoff.`;
+        }
+        return { content: [{ type: "text", text: result }] };
+      }
+
+      case "signoff_resubmit": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
         }
         
-        // Remote projects (if authenticated and requested)
-        if (args?.include_remote !== false && isGhAuthenticated()) {
-          result += `### GitHub Projects\n\n`;
-          
-          if (args?.org) {
-            const repos = listOrgRepos(args.org);
-            result += `**Organization: ${args.org}**\n\n`;
-            
-            if (repos.length === 0) {
-              result += `*No repositories found.*\n\n`;
-            } else {
-              for (const repo of repos.slice(0, 15)) {
-                const isCloned = localProjects.some(p => p.remoteUrl?.includes(repo.url));
-                const clonedIcon = isCloned ? "✅ (cloned)" : "○";
-                result += `- **${args.org}/${repo.name}** ${clonedIcon}\n`;
-                if (repo.description) {
-                  result += `  ${repo.description}\n`;
-                }
-              }
-              if (repos.length > 15) {
-                result += `\n*...and ${repos.length - 15} more*\n`;
-              }
-            }
-          } else {
-            const orgs = listGhOrgs();
-            const user = getGhUser();
-            
-            result += `**Your repositories (@${user}):**\n\n`;
-            const userRepos = listUserRepos(10);
-            for (const repo of userRepos.slice(0, 5)) {
-              const fullName = `${repo.owner.login}/${repo.name}`;
-              const isCloned = localProjects.some(p => p.remoteUrl?.includes(fullName));
-              const clonedIcon = isCloned ? "✅" : "○";
-              result += `- ${fullName} ${clonedIcon}\n`;
-            }
-            
-            if (orgs.length > 0) {
-              result += `\n**Organizations:**\n`;
-              for (const org of orgs.slice(0, 5)) {
-                result += `- ${org} (use \`signoff_list_projects\` with \`org: "${org}"\` to see repos)\n`;
-              }
-            }
-          }
+        const state = loadInitiativeState(args.key);
+        const step = args.artifact || state.currentStep;
+        const active = state.artifacts[step];
+        
+        if (!active) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
+        
+        if (active.status !== "changes_requested") {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ ${step.toUpperCase()} has no pending change request (status: ${active.status}).`,
+            }],
+          };
         }
         
-        result += `\n---\n\n`;
-        result += `**To select a project:** \`signoff_select_project\` with the name or "org/repo"\n`;
-        result += `**To clone a new project:** \`signoff_clone_project\` with "org/repo"\n`;
+        if (!commandExists("gh") || !isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
         
-        return { content: [{ type: "text", text: result }] };
-      }
-      
-      case "signoff_select_project": {
-        const project = args.project;
-        let result = `## Project Selection\n\n`;
+        const blocked = await checkReadinessGate(args.key, step, "signoff_resubmit") || checkLintGate(args.key, step, "signoff_resubmit") || checkTraceabilityGate(args.key, step, "signoff_resubmit");
+        if (blocked) return blocked;
         
-        // Case 1: Absolute path
-        if (project.startsWith("/") || project.startsWith("C:") || project.startsWith("~")) {
-          const resolvedPath = project.startsWith("~") ? project.replace("~", homedir()) : project;
-          
-          if (!existsSync(resolvedPath)) {
-            return {
-              content: [{
-                type: "text",
-                text: `❌ Directory does not exist: ${resolvedPath}\n\nUse \`signoff_clone_project\` to clone a repository.`,
-              }],
-              isError: true,
-            };
-          }
-          
-          currentProject = resolvedPath;
-          result += `✅ Project selected: ${resolvedPath}\n`;
-        }
-        // Case 2: GitHub repo (contains /)
-        else if (project.includes("/")) {
-          const repoName = project.split("/")[1];
-          const localPath = join(projectsDir, repoName);
-          
-          if (existsSync(localPath)) {
-            currentProject = localPath;
-            result += `✅ Project found locally: ${localPath}\n`;
-          } else {
-            if (!commandExists("gh") || !isGhAuthenticated()) {
-              return {
-                content: [{
-                  type: "text",
-                  text: `❌ Project ${project} is not cloned and cannot verify on GitHub.\n\nUse \`signoff_check_setup\` to configure gh CLI.`,
-                }],
-                isError: true,
-              };
-            }
-            
-            if (repoExistsOnGitHub(project)) {
-              result += `⚠️ Project ${project} exists on GitHub but is not cloned.\n\n`;
-              result += `Would you like to clone it? Use:\n`;
-              result += `\`signoff_clone_project\` with \`repo: "${project}"\`\n`;
-              return { content: [{ type: "text", text: result }] };
-            } else {
-              return {
-                content: [{
-                  type: "text",
-                  text: `❌ Repository not found: ${project}\n\nVerify the name is correct (format: owner/repo).`,
-                }],
-                isError: true,
-              };
-            }
+        const governance = loadGovernance();
+        const blockingGroup = active.changes_requested?.group;
+        const pr = getPullRequest(active.pr_number || active.branch);
+        const prOpen = pr?.state === "OPEN";
+        
+        // Decide which approvals survive before pushing: the push itself makes every existing approval stale
+        const keepApprovals = getRule(governance, step, "keep_approvals_on_rework") === true;
+        const carried = {};
+        if (keepApprovals && prOpen) {
+          const signoffs = evaluateSignoffs(pr, governance, active.required_groups, step, getCarriedApprovals(active, pr));
+          for (const group of signoffs.approved) {
+            if (group.group !== blockingGroup) carried[group.group] = group.approvers;
           }
         }
-        // Case 3: Local folder name
-        else {
-          const localPath = join(projectsDir, project);
-          
-          if (existsSync(localPath)) {
-            currentProject = localPath;
-            result += `✅ Project selected: ${localPath}\n`;
-          } else {
-            return {
-              content: [{
-                type: "text",
-                text: `❌ Project not found: ${project}\n\nLocal projects are in: ${projectsDir}\n\nUse \`signoff_list_projects\` to see available projects.`,
-              }],
-              isError: true,
-            };
-          }
+        
+        updateInitiativeState(args.key, doc => {
+          setYamlValue(doc, ["artifacts", step, "active", "status"], "in_review");
+          setYamlValue(doc, ["artifacts", step, "active", "carried_approvals"], carried);
+          doc.deleteIn(["artifacts", step, "active", "carried_head"]);
+          doc.deleteIn(["artifacts", step, "active", "changes_requested"]);
+        });
+        
+        const revision = prOpen ? startRevision(args.key, step, pr.url) : (active.revision || 0) + 1;
+        recordHistory(args.key, {
+          type: "resubmitted",
+          step,
+          details: {
+            revision,
+            addresses: blockingGroup || "",
+            note: args.note || "",
+            carried_approvals: carried,
+          },
+        });
+        appendTimeline(args.key, {
+          title: `${step.toUpperCase()} Resubmitted`,
+          content: `- **Step:** ${step}\n- **Revision:** ${revision}\n- **Addresses:** ${blockingGroup || "unknown"} — ${active.changes_requested?.reason || "(no reason recorded)"}\n- **Note:** ${args.note || "(none)"}\n- **Approvals kept:** ${Object.keys(carried).join(", ") || "none"}`,
+        });
+        
+        // Pushes to the open PR, or opens a fresh one (as a new revision) if it was closed
+        const opened = openArtifactPullRequest(args.key, step, `Resubmit ${step.toUpperCase()} (revision ${revision})`);
+        if (!opened.success) {
+          return {
+            content: [{ type: "text", text: formatPullRequestResult(args.key, step, opened) }],
+            isError: true,
+          };
         }
         
-        const hasGovernance = governanceExists();
-        result += `**Governance:** ${hasGovernance ? "✅ Configured" : "⚠️ Not configured"}\n`;
+        // Kept approvals hold for exactly this push; evaluateSignoffs ignores them once the PR head moves on
+        if (Object.keys(carried).length > 0) setArtifactActive(args.key, step, { carried_head: opened.head });
         
-        if (!hasGovernance) {
-          result += `\n**Next step:** Use \`signoff_setup_governance\` to configure leads.\n`;
-        } else {
-          result += `\n**Next step:** Use \`signoff_status\` to see project status.\n`;
+        let rerequested = { reviewers: opened.reviewers || [], failedReviewers: opened.failedReviewers || [] };
+        if (!opened.created) {
+          const groupsToAsk = keepApprovals
+            ? active.required_groups.filter(group => !carried[group])
+            : active.required_groups;
+          rerequested = requestReviewers(opened.pr.number || opened.pr.url, getStepReviewers(groupsToAsk));
+        }
+        
+        let result = `✅ ${step.toUpperCase()} resubmitted for review (revision ${revision})\n\n`;
+        result += `**Initiative:** ${args.key}\n`;
+        result += `**PR:** ${opened.pr.url}\n`;
+        result += `**Review re-requested from:** ${rerequested.reviewers.join(", ") || "none"}\n`;
+        if (rerequested.failedReviewers.length > 0) {
+          result += `⚠️ Could not request review from: ${rerequested.failedReviewers.join(", ")}\n`;
         }
+        result += keepApprovals
+          ? `**Approvals kept:** ${Object.entries(carried).map(([group, users]) => `${group} (${users.join(", ")})`).join(", ") || "none"}\n`
+          : `**Approvals kept:** none — every group signs off again (set \`keep_approvals_on_rework\` in signoff_rules to change this)\n`;
+        result += `\nRun \`signoff_advance\` once the PR is approved and merged.`;
         
         return { content: [{ type: "text", text: result }] };
       }
       
-      case "signoff_clone_project": {
-        if (!commandExists("gh")) {
+      case "signoff_check_approvals": {
+        if (!initiativeExists(args.key)) {
           return {
             content: [{
               type: "text",
-              text: "❌ gh CLI is not installed. Use `signoff_check_setup` first.",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
             }],
-            isError: true,
           };
         }
         
-        if (!isGhAuthenticated()) {
+        const state = loadInitiativeState(args.key);
+        const step = args.artifact || state.currentStep;
+        const active = state.artifacts[step];
+        
+        if (!active) {
           return {
             content: [{
               type: "text",
-              text: "❌ Not authenticated to GitHub. Use `signoff_authenticate` first.",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
             }],
-            isError: true,
           };
         }
         
-        const repo = args.repo;
-        const folderName = args.folder_name || repo.split("/")[1];
-        const targetDir = join(projectsDir, folderName);
+        if (!commandExists("gh") || !isGhAuthenticated()) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready, so the PR cannot be checked. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
         
-        if (existsSync(targetDir)) {
+        const pr = getPullRequest(active.pr_number || active.branch);
+        if (!pr) {
           return {
             content: [{
               type: "text",
-              text: `⚠️ Directory already exists: ${targetDir}\n\nUse \`signoff_select_project\` with \`project: "${folderName}"\` to select it.`,
+              text: `⏳ No signoff PR found for ${step.toUpperCase()} (branch \`${active.branch}\`). Use \`signoff_advance\` or \`signoff_open_pr\` to open it.`,
             }],
           };
         }
         
-        if (!repoExistsOnGitHub(repo)) {
+        const governance = loadGovernance();
+        const signoffs = evaluateSignoffs(pr, governance, active.required_groups, step, getCarriedApprovals(active, pr));
+        recordSignoffs(args.key, step, signoffs);
+        recordReviewEvents(args.key, step, pr);
+        
+        const icons = { approved: "✅", changes_requested: "🔁", pending: "⏳", dismissed: "🚫" };
+        const labels = { approved: "approved", changes_requested: "changes requested", pending: "pending", dismissed: "dismissed" };
+        
+        let result = `## 🔍 Approvals: ${args.key} — ${step.toUpperCase()}\n\n`;
+        result += `**PR:** ${pr.url} (${pr.state.toLowerCase()})\n`;
+        if (pr.headRefOid) result += `**Latest push:** \`${pr.headRefOid.slice(0, 7)}\`\n`;
+        result += `\n`;
+        
+        for (const group of signoffs.groups) {
+          result += `### ${icons[group.status]} ${formatGroupName(group.group)} — ${labels[group.status]}\n`;
+          result += `${formatSignoffProgress(group)}\n\n`;
+          for (const { login, review } of group.reviews) {
+            if (!review) {
+              result += `- ${login}: no review yet\n`;
+            } else if (review.state === "APPROVED" && review.stale) {
+              result += `- ${login}: approval ignored, made before the latest push (${review.submittedAt})\n`;
+            } else if (review.carried) {
+              result += `- ${login}: approved before the rework, kept by the signoff rules (${review.submittedAt})\n`;
+            } else {
+              result += `- ${login}: ${review.state.toLowerCase().replace(/_/g, " ")} (${review.submittedAt})\n`;
+            }
+          }
+          result += `\n`;
+        }
+        
+        const reviewers = [...new Set((pr.reviews || []).map(review => review.author?.login).filter(Boolean))];
+        if (reviewers.length > 0) {
+          result += `**Reviewers → groups:**\n`;
+          for (const reviewer of reviewers) {
+            const groups = getLeadGroups(governance, reviewer);
+            result += `- ${reviewer} → ${groups.join(", ") || "not a lead"}\n`;
+          }
+          result += `\n`;
+        }
+        
+        if (signoffs.ignoredApprovers.length > 0) {
+          result += `⚠️ Ignored approvals from non-leads: ${signoffs.ignoredApprovers.join(", ")}\n\n`;
+        }
+        
+        result += `Signoff status saved to state.yaml.`;
+        
+        return { content: [{ type: "text", text: result }] };
+      }
+      
+      case "signoff_list_initiatives": {
+        if (!getProjectRoot()) {
           return {
             content: [{
               type: "text",
-              text: `❌ Repository not found: ${repo}\n\nVerify the name is correct and that you have access.`,
+              text: "❌ No project selected. Use `signoff_select_project` first.",
             }],
             isError: true,
           };
         }
         
-        let result = `## Cloning ${repo}\n\n`;
-        result += `Destination: ${targetDir}\n\n`;
+        const needsGh = args?.waiting_on_me || args?.refresh;
+        if (needsGh && (!commandExists("gh") || !isGhAuthenticated())) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ gh CLI is not ready, so your reviews cannot be checked. Use `signoff_check_setup` first.",
+            }],
+            isError: true,
+          };
+        }
         
-        const cloneResult = cloneRepo(repo, targetDir);
+        const governance = loadGovernance();
+        const me = args?.waiting_on_me ? getGhUser() : null;
+        const keys = listInitiativeKeys();
+        // "Waiting on me" always reads the PRs, so a review given since the last check is not reported as pending
+        let initiatives = keys
+          .map(key => summarizeInitiative(loadInitiativeState(key), governance, { refresh: needsGh }))
+          .filter(item => !args?.step || item.currentStep === args?.step)
+          .filter(item => !args?.status || item.status === args?.status)
+          .filter(item => !args?.group || item.blocking.includes(args?.group))
+          .filter(item => !args?.waiting_on_me || item.pendingLeads.includes(me));
         
-        if (cloneResult.success) {
-          currentProject = targetDir;
-          result += `✅ Successfully cloned!\n\n`;
-          result += `**Active project:** ${targetDir}\n`;
-          
-          const hasGovernance = governanceExists();
-          result += `**Governance:** ${hasGovernance ? "✅ Configured" : "⚠️ Not configured"}\n`;
-          
-          if (!hasGovernance) {
-            result += `\n**Next step:** Use \`signoff_setup_governance\` to configure leads.\n`;
-          }
+        // Initiatives without a known start (complete, or created before the audit trail) sort last
+        const age = item => item.startedAt ? Date.parse(item.startedAt) : null;
+        if (args?.sort === "oldest" || args?.sort === "newest") {
+          const direction = args?.sort === "oldest" ? 1 : -1;
+          initiatives.sort((a, b) => (age(a) === null) - (age(b) === null) || direction * (age(a) - age(b)));
         } else {
-          result += `❌ Clone failed: ${cloneResult.error}\n`;
+          initiatives.sort((a, b) => a.key.localeCompare(b.key));
+        }
+        
+        const filters = ["step", "status", "group"]
+          .filter(name => args?.[name])
+          .map(name => `${name}: ${args?.[name]}`);
+        if (args?.waiting_on_me) filters.push(`waiting on @${me}`);
+        
+        let result = `## 📋 Initiatives
+
+`;
+        if (filters.length > 0) result += `**Filters:** ${filters.join(", ")}
+`;
+        result += `**Initiatives:** ${initiatives.length < keys.length ? `${initiatives.length} of ${keys.length}` : keys.length}
+
+`;
+        
+        if (initiatives.length === 0) {
+          result += keys.length === 0
+            ? `No initiatives yet. Create one with \`signoff_new_initiative\`.`
+            : `No initiatives match these filters.`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        const icons = { none: "⚪", draft: "📝", in_review: "👀", changes_requested: "🔁", approved: "✅", superseded: "↩️" };
+        result += `| Initiative | Step | Status | Age | PR | Blocking | Artifacts |\n`;
+        result += `|------------|------|--------|-----|----|----------|-----------|\n`;
+        for (const item of initiatives) {
+          const complete = item.status === "complete";
+          result += `| **${item.key}** ${item.title}${me && item.pendingLeads.includes(me) ? " 🙋" : ""}`;
+          result += ` | ${complete ? "—" : item.currentStep.toUpperCase()}`;
+          result += ` | ${item.status.replace(/_/g, " ")}`;
+          result += ` | ${item.startedAt ? formatAge(item.startedAt) : "—"}`;
+          result += ` | ${item.prUrl || "—"}`;
+          result += ` | ${item.blocking.map(formatGroupName).join(", ") || "—"}`;
+          result += ` | ${item.artifacts.map(artifact => `${icons[artifact.status]} ${artifact.step}`).join(" · ")} |\n`;
+        }
+        result += `\n⚪ none · 📝 draft · 👀 in review · 🔁 changes requested · ✅ approved`;
+        if (!needsGh && initiatives.some(item => item.blocking.length > 0)) {
+          result += `\n\n_Blocking groups are as of the last signoff check; pass \`refresh: true\` to re-check the PRs._`;
         }
         
         return { content: [{ type: "text", text: result }] };
       }
-      
-      // ===== WORKFLOW TOOLS =====
-      case "signoff_status": {
-        const projectRoot = getProjectRoot();
-        let result = `## Signoff Flow Status\n\n`;
+
+      case "signoff_history": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
         
-        // Check if no project is selected
-        if (!projectRoot) {
-          result += `### ⚠️ No project selected\n\n`;
-          result += `You need to select a project first. Let me help you find one.\n\n`;
-          
-          // Check if gh is available to list projects
-          if (commandExists("gh") && isGhAuthenticated()) {
-            const user = getGhUser();
-            result += `You're authenticated as **@${user}**.\n\n`;
-            
-            // Show local projects if any
-            const localProjects = getLocalProjects();
-            if (localProjects.length > 0) {
-              result += `### 📁 Local Projects\n\n`;
-              for (const proj of localProjects.slice(0, 5)) {
-                const govIcon = proj.hasGovernance ? "✅" : "⚪";
-                result += `- **${proj.name}** ${govIcon}\n`;
-              }
-              result += `\n`;
-            }
-            
-            // Show organizations
-            const orgs = listGhOrgs();
-            if (orgs.length > 0) {
-              result += `### 🏢 Your Organizations\n\n`;
-              for (const org of orgs.slice(0, 5)) {
-                result += `- ${org}\n`;
-              }
-              result += `\n`;
-            }
-            
-            // Show user repos
-            const userRepos = listUserRepos(5);
-            if (userRepos.length > 0) {
-              result += `### 📂 Your Recent Repositories\n\n`;
-              for (const repo of userRepos.slice(0, 5)) {
-                result += `- ${repo.owner.login}/${repo.name}\n`;
-              }
-              result += `\n`;
-            }
-            
-            result += `---\n\n`;
-            result += `**To select a project:**\n`;
-            result += `- Use \`signoff_select_project\` with the project name or path\n`;
-            result += `- Use \`signoff_clone_project\` to clone a repo (e.g., \`org/repo-name\`)\n`;
-            result += `- Use \`signoff_list_projects\` with \`org: "ORG_NAME"\` to see repos in an organization\n`;
-          } else {
-            result += `To get started, use \`signoff_check_setup\` to verify your environment.\n`;
+        for (const bound of ["since", "until"]) {
+          if (args[bound] && Number.isNaN(Date.parse(args[bound]))) {
+            return {
+              content: [{
+                type: "text",
+                text: `❌ Invalid ${bound} date: ${args[bound]}. Use ISO 8601, e.g. 2026-01-31 or 2026-01-31T12:00:00Z.`,
+              }],
+            };
           }
-          
-          return { content: [{ type: "text", text: result }] };
         }
         
-        result += `**Project:** ${projectRoot}\n\n`;
+        const state = loadInitiativeState(args.key);
+        let events = state.history
+          .filter(event => !args.type || event.type === args.type)
+          .filter(event => !args.step || event.step === args.step)
+          .filter(event => !args.actor || event.actor === args.actor.replace(/^@/, ""))
+          .filter(event => !args.since || Date.parse(event.at) >= Date.parse(args.since))
+          .filter(event => !args.until || Date.parse(event.at) < Date.parse(args.until))
+          // Reviews are recorded when they are seen, but listed at the time they were made
+          .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+        const total = events.length;
+        if (args.limit > 0) events = events.slice(-args.limit);
         
-        const hasGovernance = governanceExists();
-        result += `**Governance:** ${hasGovernance ? "✅ Configured" : "❌ Not configured"}\n\n`;
+        const filters = ["type", "step", "actor", "since", "until"]
+          .filter(name => args[name])
+          .map(name => `${name}: ${args[name]}`);
         
-        if (hasGovernance) {
-          const governance = loadGovernance();
-          result += `**Jira Project:** ${governance?.jira?.project_key || "Unknown"}\n`;
-          result += `**BA Leads:** ${governance?.groups?.ba?.leads?.github_users?.join(", ") || "None"}\n`;
-          result += `**Design Leads:** ${governance?.groups?.design?.leads?.github_users?.join(", ") || "None"}\n`;
-          result += `**Dev Leads:** ${governance?.groups?.dev?.leads?.github_users?.join(", ") || "None"}\n\n`;
-        } else {
-          result += `**Next step:** Use \`signoff_setup_governance\` to configure leads.\n\n`;
+        let result = `## 📜 History: ${args.key}\n\n`;
+        if (filters.length > 0) result += `**Filters:** ${filters.join(", ")}\n`;
+        result += `**Events:** ${events.length < total ? `${events.length} most recent of ${total}` : total}\n\n`;
+        
+        if (events.length === 0) {
+          result += `No events recorded${filters.length > 0 ? " matching these filters" : ""}.`;
+          return { content: [{ type: "text", text: result }] };
         }
         
-        if (args?.initiative_key) {
-          const state = loadInitiativeState(args.initiative_key);
-          if (state) {
-            result += `### Initiative: ${args.initiative_key}\n`;
-            result += `**Current Step:** ${state.currentStep}\n`;
-            const stepIndex = ARTIFACTS.indexOf(state.currentStep);
-            result += `**Progress:** ${stepIndex + 1}/${ARTIFACTS.length} (${ARTIFACTS.join(" → ")})\n`;
-          } else {
-            result += `\n❌ Initiative ${args.initiative_key} not found.\n`;
-          }
+        const labels = {
+          initiative_created: "Initiative created",
+          artifact_generated: "Artifact generated",
+          pr_opened: "PR opened",
+          review_received: "Review received",
+          changes_requested: "Changes requested",
+          resubmitted: "Resubmitted",
+          step_advanced: "Step advanced",
+          signoffs_reopened: "Signoffs reopened",
+          governance_changed: "Governance changed",
+          tickets_created: "Tickets created",
+          tickets_synced: "Tickets synced",
+          backlog_created: "Backlog created",
+        };
+        for (const event of events) {
+          result += `- \`${event.at}\` **${labels[event.type]}**`;
+          if (event.step) result += ` · ${event.step.toUpperCase()}`;
+          result += ` · @${event.actor}\n`;
+          const details = formatHistoryDetails(event.details);
+          if (details) result += `  ${details}\n`;
         }
         
         return { content: [{ type: "text", text: result }] };
       }
 
-      case "signoff_setup_governance": {
-        const projectRoot = getProjectRoot();
-        if (!projectRoot) {
+      case "signoff_sync_jira": {
+        if (!initiativeExists(args.key)) {
           return {
             content: [{
               type: "text",
-              text: "❌ No project selected. Use `signoff_select_project` first.",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
             }],
-            isError: true,
           };
         }
         
-        const govPath = getGovernancePath();
-        mkdirSync(join(projectRoot, "_bmad-output", "governance"), { recursive: true });
-        
-        const content = `version: 1
-
-groups:
-  ba:
-    leads:
-      github_users: [${args.ba_leads.map(l => `"${l}"`).join(", ")}]
-      jira_account_ids: []
-    github:
-      team_slug: ""
-
-  design:
-    leads:
-      github_users: [${args.design_leads.map(l => `"${l}"`).join(", ")}]
-      jira_account_ids: []
-    github:
-      team_slug: ""
-
-  dev:
-    leads:
-      github_users: [${args.dev_leads.map(l => `"${l}"`).join(", ")}]
-      jira_account_ids: []
-    github:
-      team_slug: ""
-
-jira:
-  project_key: "${args.jira_project_key}"
-  issue_types:
-    signoff_request: "Task"
-
-signoff_rules:
-  prd:
-    required_groups: [ba, design, dev]
-  ux:
-    required_groups: [ba, design]
-  architecture:
-    required_groups: [dev]
-  epics_stories:
-    required_groups: [ba, dev]
-  readiness:
-    required_groups: [ba, design, dev]
-`;
-        
-        writeFileSync(govPath, content);
-        
-        return {
-          content: [{
-            type: "text",
-            text: `✅ Governance configured!\n\n**Path:** ${govPath}\n**Jira Project:** ${args.jira_project_key}\n**BA Leads:** ${args.ba_leads.join(", ")}\n**Design Leads:** ${args.design_leads.join(", ")}\n**Dev Leads:** ${args.dev_leads.join(", ")}\n\nYou can now create initiatives with \`signoff_new_initiative\`.`,
-          }],
-        };
-      }
-
-      case "signoff_new_initiative": {
-        if (!getProjectRoot()) {
+        const state = loadInitiativeState(args.key);
+        if (args.artifact && !state.artifacts[args.artifact]) {
           return {
             content: [{
               type: "text",
-              text: "❌ No project selected. Use `signoff_select_project` first.",
+              text: `❌ Unknown artifact: ${args.artifact}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
             }],
-            isError: true,
           };
         }
         
-        if (!governanceExists()) {
+        const governance = loadGovernance();
+        const tracker = getTracker(governance);
+        if (!tracker.ready) {
           return {
             content: [{
               type: "text",
-              text: "❌ Governance not configured. Use `signoff_setup_governance` first.",
+              text: `❌ ${tracker.label} is not ready. ${tracker.setupHint}`,
             }],
+            isError: true,
           };
         }
         
-        if (initiativeExists(args.key)) {
+        if (!commandExists("gh") || !isGhAuthenticated()) {
           return {
             content: [{
               type: "text",
-              text: `❌ Initiative ${args.key} already exists. Use \`signoff_advance\` to continue.`,
+              text: "❌ gh CLI is not ready, so the PR reviews cannot be checked. Use `signoff_check_setup` first.",
             }],
+            isError: true,
           };
         }
         
-        const result = createInitiative(args.key, args.title);
+        const steps = args.artifact
+          ? [args.artifact]
+          : getInitiativeSteps(state).filter(step => state.artifacts[step].pr_number);
+        const updates = [];
+        const drift = [];
         
-        return {
-          content: [{
-            type: "text",
-            text: `✅ Initiative created!\n\n**Key:** ${result.key}\n**Title:** ${result.title}\n**Path:** ${result.path}\n**Current Step:** prd\n\nNext: Use \`signoff_advance\` to create the PRD artifact and PR.`,
-          }],
-        };
+        for (const step of steps) {
+          const active = state.artifacts[step];
+          let pr = null;
+          try {
+            pr = active.pr_number ? getPullRequest(active.pr_number) : null;
+          } catch (error) {
+            drift.push(`${step.toUpperCase()}: ${error.message}`);
+            continue;
+          }
+          if (!pr) {
+            drift.push(`${step.toUpperCase()}: no signoff PR to compare against`);
+            continue;
+          }
+          const signoffs = evaluateSignoffs(pr, governance, active.required_groups, step, getCarriedApprovals(active, pr));
+          const synced = await syncSignoffTickets(tracker, step, active.tickets, signoffs, pr.url);
+          updates.push(...synced.updates);
+          drift.push(...synced.drift);
+          
+          if (synced.updates.length > 0) {
+            recordHistory(args.key, {
+              type: "tickets_synced",
+              step,
+              details: { tracker: tracker.name, tickets: Object.fromEntries(synced.updates.map(update => [update.key, update.to])) },
+            });
+            appendTimeline(args.key, {
+              title: `${step.toUpperCase()} Signoff Tickets Synced`,
+              content: synced.updates.map(update => `- **${update.group}:** ${update.key} ${update.from} → ${update.to}`).join("\n"),
+            });
+          }
+        }
+        
+        let result = `## 🔄 ${tracker.label} sync: ${args.key}\n\n`;
+        if (steps.length === 0) {
+          result += `No artifact has a signoff PR yet, so there is nothing to sync.`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        if (updates.length > 0) {
+          result += `**Updated:**\n`;
+          for (const update of updates) {
+            result += `- ${update.step.toUpperCase()} / ${formatGroupName(update.group)}: ${update.key} ${update.from} → ${update.to}\n`;
+          }
+          result += `\n`;
+        }
+        if (drift.length > 0) {
+          result += `**⚠️ Drift that needs attention:**\n`;
+          for (const item of drift) result += `- ${item}\n`;
+          result += `\n`;
+        }
+        if (updates.length === 0 && drift.length === 0) {
+          result += `✅ ${tracker.label} tickets already match the PR reviews.`;
+        }
+        
+        return { content: [{ type: "text", text: result.trimEnd() }] };
       }
 
-      case "signoff_advance": {
+      case "signoff_create_jira_stories": {
         if (!initiativeExists(args.key)) {
           return {
             content: [{
@@ -1105,70 +5520,241 @@ signoff_rules:
         }
         
         const state = loadInitiativeState(args.key);
-        const currentStep = state.currentStep;
-        const stepIndex = ARTIFACTS.indexOf(currentStep);
+        const step = args.artifact || getRoleStep(state, "stories");
+        if (!step) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ No step of ${args.key}'s workflow has \`role: stories\`, so there is no default. Pass \`artifact\`: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
+        const artifact = state.artifacts[step];
+        if (!artifact) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Unknown artifact: ${step}. Valid options: ${getInitiativeSteps(state).join(", ")}`,
+            }],
+          };
+        }
         
-        if (stepIndex === -1) {
+        const artifactPath = getArtifactPath(args.key, step);
+        if (!existsSync(artifactPath)) {
           return {
             content: [{
               type: "text",
-              text: `❌ Unknown step: ${currentStep}`,
+              text: `❌ ${step.toUpperCase()} has not been written yet (${displayPath(artifactPath)}).`,
             }],
           };
         }
         
-        if (stepIndex >= ARTIFACTS.length - 1 && currentStep === "readiness") {
+        if (artifact.status !== "approved" && !args.dry_run) {
           return {
             content: [{
               type: "text",
-              text: `✅ Initiative ${args.key} is complete! All artifacts have been signed off.`,
+              text: `❌ ${step.toUpperCase()} is not signed off yet (status: ${artifact.status}). Stories are created from the signed-off version; use \`dry_run: true\` to preview them.`,
             }],
           };
         }
         
-        const artifactPath = createArtifact(args.key, currentStep);
-        const groups = ARTIFACT_GROUPS[currentStep];
+        const { epics, problems } = parseEpicsAndStories(readFileSync(artifactPath, "utf-8"));
+        if (problems.length > 0) {
+          let result = `❌ ${displayPath(artifactPath)} does not follow the epics-and-stories format:\n`;
+          for (const problem of problems) result += `- line ${problem.line}: ${problem.message}\n`;
+          result += `\nExpected \`## Epic: <title>\` headings with \`### Story: <title>\` items, each with an \`Estimate:\` line and an \`Acceptance criteria:\` list.`;
+          return { content: [{ type: "text", text: result }], isError: true };
+        }
         
-        appendTimeline(args.key, {
-          title: `${currentStep.toUpperCase()} Step Started`,
-          content: `- **Phase:** planning\n- **Step:** ${currentStep}\n- **Action:** Created artifact stub\n- **Required groups:** ${groups.join(", ")}`,
-        });
+        const storyCount = epics.reduce((count, epic) => count + epic.stories.length, 0);
+        if (args.dry_run) {
+          let result = `## 🗂️ ${step.toUpperCase()}: ${epics.length} epics, ${storyCount} stories\n\n`;
+          for (const epic of epics) {
+            result += `**Epic:** ${epic.title}\n`;
+            for (const story of epic.stories) {
+              result += `- ${story.title} (${story.estimate ?? "no estimate"}; ${story.acceptanceCriteria.length} acceptance criteria)\n`;
+            }
+            result += `\n`;
+          }
+          result += `Nothing was created (dry run).`;
+          return { content: [{ type: "text", text: result }] };
+        }
         
-        return {
-          content: [{
-            type: "text",
-            text: `✅ Artifact created!\n\n**Initiative:** ${args.key}\n**Step:** ${currentStep.toUpperCase()}\n**Artifact:** ${artifactPath}\n**Required signoffs:** ${groups.join(", ")}\n\n**Next steps:**\n1. Create a GitHub PR for branch \`bmad/${args.key}/${currentStep}\`\n2. Create Jira tickets with \`signoff_create_jira_tickets\`\n3. Request reviews from leads\n4. When PR is merged, run \`signoff_advance\` again`,
-          }],
-        };
+        if (args.jira_issue) {
+          updateInitiativeState(args.key, doc => setYamlValue(doc, ["external_ids", "jira"], args.jira_issue));
+        }
+        const governance = loadGovernance();
+        
+        if (args.csv) {
+          const csvPath = getExportPath(args.key, "jira-backlog.csv");
+          const rows = writeBacklogCsv(csvPath, args.key, step, epics, governance);
+          let result = `✅ Jira import file written\n\n`;
+          result += `**File:** ${displayPath(csvPath)}\n`;
+          result += `**Issues:** ${rows} (${epics.length} epics, ${storyCount} stories)\n\n`;
+          result += `Import it in Jira under **System → External System Import → CSV**, mapping "Issue Id" and "Parent Id" so the stories land under their epics.`;
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        const jira = getJiraConfig(governance);
+        if (!jira) {
+          return {
+            content: [{
+              type: "text",
+              text: "❌ Jira is not configured. Set `JIRA_BASE_URL` and `JIRA_API_TOKEN` (plus `JIRA_EMAIL` for Jira Cloud), or use `csv: true` to import the backlog by file.",
+            }],
+            isError: true,
+          };
+        }
+        
+        const results = await createBacklogIssues(jira, governance, args.key, step, epics);
+        const failed = results.filter(item => item.error);
+        const linkedTo = loadInitiativeState(args.key).data.external_ids?.jira;
+        
+        let result = `## 🗂️ Jira backlog: ${args.key}\n\n`;
+        result += `**Initiative issue:** ${linkedTo || "none (pass \`jira_issue\` to link the epics to one)"}\n\n`;
+        for (const item of results) {
+          const indent = item.type === "story" ? "  " : "";
+          const label = item.type === "epic" ? "Epic" : "Story";
+          if (item.error) {
+            result += `${indent}- ❌ ${label} "${item.title}" — ${item.error}\n`;
+          } else {
+            result += `${indent}- ${item.created ? "✅" : "↩️"} ${label} ${item.key} — ${item.title}${item.created ? "" : " (already exists)"}\n`;
+            for (const warning of item.warnings) result += `${indent}  ⚠️ ${warning}\n`;
+          }
+        }
+        if (failed.length > 0) {
+          result += `\nRun \`signoff_create_jira_stories\` again to retry; issues that already exist are not duplicated.`;
+        }
+        
+        return { content: [{ type: "text", text: result.trimEnd() }], isError: failed.length === results.length && results.length > 0 };
+      }
+
+      case "signoff_export_jira_csv": {
+        if (!initiativeExists(args.key)) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Create it with \`signoff_new_initiative\`.`,
+            }],
+          };
+        }
+        
+        const state = loadInitiativeState(args.key);
+        const governance = loadGovernance();
+        const pending = getInitiativeSteps(state).flatMap(step => getPendingSignoffTickets(args.key, state, step, governance));
+        if (pending.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `✅ No pending signoff tickets for ${args.key}: every group has signed off or already has a ticket.`,
+            }],
+          };
+        }
+        
+        const csvPath = getExportPath(args.key, "jira-signoff.csv");
+        writeSignoffTicketsCsv(csvPath, pending);
+        return { content: [{ type: "text", text: formatCsvExport(csvPath, pending) }] };
       }
 
       case "signoff_create_jira_tickets": {
-        const groups = ARTIFACT_GROUPS[args.artifact];
+        // Prefer the initiative's own pipeline; fall back to the project workflow for ad-hoc keys
+        const state = loadInitiativeState(args.key);
+        const stepGroups = state
+          ? Object.fromEntries(Object.entries(state.artifacts).map(([id, artifact]) => [id, artifact.required_groups]))
+          : Object.fromEntries(loadWorkflow().steps.map(step => [step.id, step.required_groups]));
+        const groups = stepGroups[args.artifact];
         if (!groups) {
           return {
             content: [{
               type: "text",
-              text: `❌ Unknown artifact: ${args.artifact}. Valid options: ${ARTIFACTS.join(", ")}`,
+              text: `❌ Unknown artifact: ${args.artifact}. Valid options: ${Object.keys(stepGroups).join(", ")}`,
             }],
           };
         }
         
         const governance = loadGovernance();
-        const jiraProject = governance?.jira?.project_key || "UNKNOWN";
+        const prUrl = args.pr_url || state?.artifacts?.[args.artifact]?.pr_url;
+        const tickets = buildSignoffTickets(args.key, args.artifact, groups, governance, prUrl);
+        const tracker = getTracker(governance);
         
-        let result = `## Jira Tickets to Create\n\n`;
-        result += `Use the Atlassian MCP to create these tickets:\n\n`;
+        if (args.csv) {
+          const pending = state ? getPendingSignoffTickets(args.key, state, args.artifact, governance, prUrl) : tickets;
+          if (pending.length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: `✅ No pending signoff tickets for ${args.artifact.toUpperCase()}: every group has signed off or already has a ticket.`,
+              }],
+            };
+          }
+          const csvPath = getExportPath(args.key, `jira-signoff-${args.artifact}.csv`);
+          writeSignoffTicketsCsv(csvPath, pending);
+          return { content: [{ type: "text", text: formatCsvExport(csvPath, pending) }] };
+        }
         
-        for (const group of groups) {
-          result += `### ${group.toUpperCase()} Signoff\n`;
-          result += `- **Summary:** \`[BMAD][${args.key}][${args.artifact}] Signoff required — ${group.toUpperCase()}\`\n`;
-          result += `- **Project:** ${jiraProject}\n`;
-          result += `- **Type:** Task\n`;
-          result += `- **Labels:** bmad, initiative-${args.key}, artifact-${args.artifact}, group-${group}\n`;
-          result += `- **Description:**\n\`\`\`\nBMAD signoff requested (lead-only).\n\nInitiative: ${args.key}\nArtifact: ${args.artifact.toUpperCase()}\nGroup: ${group.toUpperCase()}\n\nPR: ${args.pr_url || "(pending)"}\n\nAction: Approve the PR to sign off.\n\`\`\`\n\n`;
+        if (!tracker.ready && tracker.name !== "jira") {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ ${tracker.label} is not ready. ${tracker.setupHint}`,
+            }],
+            isError: true,
+          };
         }
         
-        return { content: [{ type: "text", text: result }] };
+        if (!tracker.ready) {
+          let result = `## Jira Tickets to Create\n\n`;
+          result += `Use the Atlassian MCP to create these tickets:\n\n`;
+          
+          for (const ticket of tickets) {
+            result += `### ${ticket.group.toUpperCase()} Signoff\n`;
+            result += `- **Summary:** \`${ticket.summary}\`\n`;
+            result += `- **Project:** ${ticket.project}\n`;
+            result += `- **Type:** ${ticket.issueType}\n`;
+            result += `- **Labels:** ${ticket.labels.join(", ")}\n`;
+            result += `- **Description:**\n\`\`\`\n${ticket.description}\n\`\`\`\n\n`;
+          }
+          result += `_Set \`JIRA_BASE_URL\` and \`JIRA_API_TOKEN\` (plus \`JIRA_EMAIL\` for Jira Cloud) to create them directly._`;
+          
+          return { content: [{ type: "text", text: result }] };
+        }
+        
+        if (!state) {
+          return {
+            content: [{
+              type: "text",
+              text: `❌ Initiative ${args.key} not found. Created ticket keys are kept in the initiative's state.yaml, so create it with \`signoff_new_initiative\` first.`,
+            }],
+          };
+        }
+        
+        const results = await createSignoffTickets(tracker, args.key, args.artifact, tickets);
+        const failed = results.filter(ticket => ticket.error);
+        
+        let result = `## ${tracker.label} Tickets: ${args.key} — ${args.artifact.toUpperCase()}\n\n`;
+        result += `**${tracker.label}:** ${tracker.location}\n\n`;
+        for (const ticket of results) {
+          if (ticket.error) {
+            result += `- ❌ **${formatGroupName(ticket.group)}** — ${ticket.error}\n`;
+            continue;
+          }
+          result += `- ${ticket.created ? "✅" : "↩️"} **${formatGroupName(ticket.group)}** — [${ticket.key}](${ticket.url})`;
+          result += ticket.created ? ` created` : ` already exists`;
+          if (ticket.created) {
+            result += ticket.assignedTo.length > 0 ? `, assigned to ${ticket.assignedTo.join(", ")}` : `, unassigned`;
+            if (ticket.assignedTo.length === 0 && tracker.name === "jira") result += ` (no \`jira_account_ids\` for this group)`;
+          }
+          result += `\n`;
+          for (const warning of ticket.warnings) result += `  ⚠️ ${warning}\n`;
+        }
+        if (results.some(ticket => ticket.created)) {
+          result += `\n📝 Ticket keys are saved in state.yaml. They are committed with the next signoff PR, not pushed to the one under review, so its approvals stay current.\n`;
+        }
+        if (failed.length > 0) {
+          result += `\nRun \`signoff_create_jira_tickets\` again to retry; tickets that already exist are not duplicated.`;
+        }
+        
+        return { content: [{ type: "text", text: result }], isError: failed.length === results.length && results.length > 0 };
       }
 
       default:
@@ -1191,6 +5777,262 @@ signoff_rules:
   }
 });
 
+// ==================== Resources ====================
+
+// Files are addressed per project by its name in the portfolio, e.g. signoff://my-repo/initiatives/F-1/artifacts/prd
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "signoff://{project}/governance",
+    name: "Governance",
+    description: "A project's governance.yaml: signoff groups, leads and tracker settings",
+    mimeType: "application/yaml",
+  },
+  {
+    uriTemplate: "signoff://{project}/initiatives/{key}/state",
+    name: "Initiative state",
+    description: "An initiative's state.yaml: current step, artifact status, signoffs and audit trail",
+    mimeType: "application/yaml",
+  },
+  {
+    uriTemplate: "signoff://{project}/initiatives/{key}/timeline",
+    name: "Initiative timeline",
+    description: "An initiative's timeline.md",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: "signoff://{project}/initiatives/{key}/artifacts/{step}",
+    name: "Artifact",
+    description: "The artifact file of an initiative's workflow step (e.g. prd)",
+    mimeType: "text/markdown",
+  },
+];
+
+// JSON-RPC error code the MCP spec reserves for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+const resourceWatchers = new Map();
+
+function formatResourceUri(project, ...segments) {
+  return `signoff://${[project, ...segments].map(encodeURIComponent).join("/")}`;
+}
+
+function resolveResource(uri) {
+  const match = uri.match(/^signoff:\/\/([^/]+)\/(.+)$/);
+  if (!match) return null;
+  const project = listPortfolioProjects().find(item => item.name === decodeURIComponent(match[1]));
+  if (!project || !existsSync(project.path)) return null;
+  const [kind, key, part, step, ...rest] = match[2].split("/").map(decodeURIComponent);
+  
+  return withProject(project.path, () => {
+    if (kind === "governance" && !key) return { path: getGovernancePath(), mimeType: "application/yaml" };
+    // Only initiatives that exist, so a crafted key cannot point outside the initiatives folder
+    if (kind !== "initiatives" || rest.length > 0 || !listInitiativeKeys().includes(key)) return null;
+    if (part === "state" && !step) return { path: getStatePath(key), mimeType: "application/yaml" };
+    if (part === "timeline" && !step) return { path: join(getInitiativePath(key), "timeline.md"), mimeType: "text/markdown" };
+    if (part === "artifacts" && loadInitiativeState(key).artifacts[step]) return { path: getArtifactPath(key, step), mimeType: "text/markdown" };
+    return null;
+  });
+}
+
+function listResources() {
+  const resources = [];
+  for (const project of listPortfolioProjects()) {
+    if (!existsSync(project.path)) continue;
+    try {
+      withProject(project.path, () => {
+        if (governanceExists()) {
+          resources.push({ uri: formatResourceUri(project.name, "governance"), name: `${project.name}: governance.yaml`, mimeType: "application/yaml" });
+        }
+        for (const key of listInitiativeKeys()) {
+          const state = loadInitiativeState(key);
+          resources.push({ uri: formatResourceUri(project.name, "initiatives", key, "state"), name: `${project.name} / ${key}: state.yaml`, mimeType: "application/yaml" });
+          if (existsSync(join(getInitiativePath(key), "timeline.md"))) {
+            resources.push({ uri: formatResourceUri(project.name, "initiatives", key, "timeline"), name: `${project.name} / ${key}: timeline.md`, mimeType: "text/markdown" });
+          }
+          for (const step of getInitiativeSteps(state)) {
+            if (!existsSync(getArtifactPath(key, step))) continue;
+            resources.push({ uri: formatResourceUri(project.name, "initiatives", key, "artifacts", step), name: `${project.name} / ${key}: ${state.artifacts[step].title}`, mimeType: "text/markdown" });
+          }
+        }
+      });
+    } catch {
+      // A project with invalid YAML lists no resources; its tools report the problem
+    }
+  }
+  return resources;
+}
+
+function notifyResourceListChanged() {
+  // Fails harmlessly before a client has connected
+  server.sendResourceListChanged().catch(() => {});
+}
+
+function watchResource(uri, path) {
+  if (resourceWatchers.has(uri)) return;
+  // Watch the folder rather than the file, so files that are replaced or not written yet are still picked up
+  let timer = null;
+  const watcher = watch(dirname(path), (event, filename) => {
+    if (filename && filename !== basename(path)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => server.sendResourceUpdated({ uri }).catch(() => {}), 100);
+  });
+  resourceWatchers.set(uri, watcher);
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: listResources() }));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const resource = resolveResource(uri);
+  if (!resource || !existsSync(resource.path)) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+  return { contents: [{ uri, mimeType: resource.mimeType, text: readFileSync(resource.path, "utf-8") }] };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const resource = resolveResource(uri);
+  if (!resource || !existsSync(dirname(resource.path))) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+  watchResource(uri, resource.path);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceWatchers.get(request.params.uri)?.close();
+  resourceWatchers.delete(request.params.uri);
+  return {};
+});
+
+// ==================== Prompts ====================
+
+// One authoring prompt per default workflow step; draft_artifact covers custom steps
+const ARTIFACT_PROMPTS = [
+  {
+    name: "draft_prd",
+    step: "prd",
+    description: "Draft the PRD of an initiative",
+    instructions: "Write a Product Requirements Document with these sections: problem statement, goals and non-goals, target users, functional and non-functional requirements, success metrics, assumptions, and open questions. Start every requirement with a stable ID (`- **FR-1:** ...` for functional, `- **NFR-1:** ...` for non-functional); downstream artifacts reference them, so never renumber or reuse an ID.",
+  },
+  {
+    name: "derive_ux",
+    step: "ux",
+    description: "Derive the UX design of an initiative from its approved PRD",
+    instructions: "Derive the UX design from the PRD: the user journeys behind each goal, the key screens with their empty, loading and error states, interaction and content notes, and accessibility considerations. Say which PRD requirements each journey serves, by their IDs (e.g. FR-1).",
+  },
+  {
+    name: "draft_architecture",
+    step: "architecture",
+    description: "Draft the architecture of an initiative from its approved PRD and UX",
+    instructions: "Describe the architecture that delivers the PRD and the UX design: context and constraints, components and their responsibilities, data model, APIs and integrations, security and privacy, scalability and operations, key decisions with the alternatives considered, and risks. Reference the IDs of the PRD requirements (e.g. NFR-1) each component or decision delivers.",
+  },
+  {
+    name: "break_down_epics",
+    step: "epics_stories",
+    description: "Break an initiative down into epics and stories from its approved artifacts",
+    instructions: [
+      "Break the work down into epics and user stories so that every PRD requirement is covered by at least one story, which names the requirement IDs it delivers (checked by `signoff_traceability`). Give each story acceptance criteria and, where you can, an estimate in points.",
+      "Use exactly this format, which `signoff_create_jira_stories` turns into Jira issues:",
+      "```markdown\n## Epic: <title>\n<what the epic delivers>\n\n### Story: <title>\nAs a <user> I want <goal> so that <benefit>.\n\n**Requirements:** <PRD requirement IDs, e.g. FR-1, NFR-2>\n**Estimate:** <points>\n**Acceptance criteria:**\n- <criterion>\n```",
+    ].join("\n\n"),
+  },
+  {
+    name: "assess_readiness",
+    step: "readiness",
+    description: "Assess whether an initiative is ready for implementation",
+    instructions: "The readiness report is generated by `signoff_readiness_report`: signoff status, stale signoffs, traceability, open review comments, signoff tickets and the checklist, with a go / no-go recommendation. Run it first, then check the signed-off artifacts against each other for what it cannot see: UX and architecture that disagree, and missing non-functional coverage. Write your findings, open questions, risks and dependencies into the report's Notes section, and tick only the checklist items you can confirm; leave the generated sections as they are, since they are replaced whenever the report is regenerated.",
+  },
+];
+
+const KEY_ARGUMENT = { name: "key", description: "Initiative key", required: true };
+
+function buildArtifactPrompt(key, step, instructions) {
+  if (!getProjectRoot()) {
+    throw new McpError(ErrorCode.InvalidParams, "No project selected. Use signoff_select_project first.");
+  }
+  const state = initiativeExists(key) ? loadInitiativeState(key) : null;
+  if (!state) throw new McpError(ErrorCode.InvalidParams, `Initiative ${key} not found`);
+  const artifact = state.artifacts[step];
+  if (!artifact) {
+    throw new McpError(ErrorCode.InvalidParams, `Initiative ${key} has no ${step} step. Valid steps: ${getInitiativeSteps(state).join(", ")}`);
+  }
+  
+  const governance = loadGovernance();
+  const project = basename(getProjectRoot());
+  const upstream = getUpstreamSteps(state, step);
+  const approved = upstream.filter(name => state.artifacts[name].status === "approved" && existsSync(getArtifactPath(key, name)));
+  const unapproved = upstream.filter(name => !approved.includes(name));
+  
+  let text = `Draft the ${artifact.title} for initiative ${key}: "${state.title}".\n\n${instructions}\n\n`;
+  text += `**Reviewers:** the draft is signed off by these groups, so write for them:\n`;
+  for (const group of artifact.required_groups) {
+    text += `- ${formatGroupName(group)}: ${governance?.groups?.[group]?.leads.github_users.map(lead => `@${lead}`).join(", ") || "no leads configured"}\n`;
+  }
+  text += `\n`;
+  if (approved.length > 0) {
+    text += `**Signed-off upstream artifacts** (attached below): ${approved.map(name => state.artifacts[name].title).join(", ")}. Build on them and stay consistent with them.\n`;
+  }
+  if (unapproved.length > 0) {
+    text += `**Not signed off yet:** ${unapproved.map(name => state.artifacts[name].title).join(", ")}. Do not rely on their current content; note what depends on them as an open question.\n`;
+  }
+  
+  const relativePath = relative(getProjectRoot(), getArtifactPath(key, step));
+  text += step === getRoleStep(state, "readiness")
+    ? `\nThe report is \`${relativePath}\`; edit it in place.`
+    : `\nWhen the draft is ready, write it as Markdown to \`${relativePath}\`.`;
+  if (state.currentStep === step && state.phase !== "complete") {
+    text += ` Then run \`signoff_advance\` for ${key} to open the signoff PR.`;
+  } else {
+    text += ` Note that the initiative is currently at ${state.currentStep.toUpperCase()}, so this step's signoff PR opens once the workflow reaches it.`;
+  }
+  
+  const messages = [{ role: "user", content: { type: "text", text } }];
+  for (const name of approved) {
+    messages.push({
+      role: "user",
+      content: {
+        type: "resource",
+        resource: {
+          uri: formatResourceUri(project, "initiatives", key, "artifacts", name),
+          mimeType: "text/markdown",
+          text: readFileSync(getArtifactPath(key, name), "utf-8"),
+        },
+      },
+    });
+  }
+  
+  return { description: `${artifact.title} draft for ${key}`, messages };
+}
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: [
+    ...ARTIFACT_PROMPTS.map(prompt => ({ name: prompt.name, description: prompt.description, arguments: [KEY_ARGUMENT] })),
+    {
+      name: "draft_artifact",
+      description: "Draft the artifact of any workflow step, including custom ones",
+      arguments: [KEY_ARGUMENT, { name: "step", description: "Workflow step id, e.g. 'security_review'", required: true }],
+    },
+  ],
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  if (!args.key) throw new McpError(ErrorCode.InvalidParams, "Missing required argument: key");
+  
+  if (name === "draft_artifact") {
+    if (!args.step) throw new McpError(ErrorCode.InvalidParams, "Missing required argument: step");
+    return buildArtifactPrompt(args.key, args.step, "Write this artifact with the sections its reviewers need to sign it off, building on the upstream artifacts.");
+  }
+  
+  const prompt = ARTIFACT_PROMPTS.find(item => item.name === name);
+  if (!prompt) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  return buildArtifactPrompt(args.key, prompt.step, prompt.instructions);
+});
+
 // Start server
 const transport = new StdioServerTransport();
 await server.connect(transport);
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { approve, connect, createProject, merge } from "./helpers.js";
+
+const KEY = "ADV-1";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  server = await connect(project);
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Checkout" });
+  await server.call("signoff_advance", { key: KEY });
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("the timeline names the template the artifact was generated from", () => {
+  const timeline = project.read(`_bmad-output/initiatives/${KEY}/timeline.md`);
+  assert.match(timeline, /- \*\*Action:\*\* Generated from template built-in templates\/prd\.md/);
+});
+
+test("a gh failure while reading the PR is an error, not a missing PR", async () => {
+  const gh = project.readGh();
+  gh.failWith = "HTTP 502: Bad Gateway (https://api.github.com/graphql)";
+  project.writeGh(gh);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  const { failWith, ...recovered } = project.readGh();
+  project.writeGh(recovered);
+  const calls = recovered.calls;
+
+  assert.equal(result.isError, true, result.text);
+  assert.match(result.text, /Could not read pull request 1: HTTP 502/);
+  assert.equal(calls.filter(call => call.startsWith("pr create")).length, 1);
+  assert.equal(parse(project.read(STATE)).artifacts.prd.active.pr_number, 1);
+});
+
+test("a PR merged before quorum is reported instead of waiting on approvals forever", async () => {
+  approve(project, 1, ["bob"]);
+  merge(project, 1);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /was merged before PRD was signed off/);
+  assert.match(result.text, /DESIGN/);
+  assert.match(result.text, /reopen_merged: true/);
+  assert.equal(parse(project.read(STATE)).current_step, "prd");
+});
+
+test("reopen_merged puts the step back to draft and the next advance opens a new PR", async () => {
+  const reopened = await server.call("signoff_advance", { key: KEY, reopen_merged: true });
+  assert.equal(reopened.isError, false, reopened.text);
+  assert.match(reopened.text, /Reopened PRD for signoff/);
+  assert.equal(project.git(["rev-parse", "--abbrev-ref", "HEAD"]), "main");
+
+  const state = parse(project.read(STATE));
+  assert.equal(state.current_step, "prd");
+  assert.equal(state.artifacts.prd.active.status, "draft");
+  assert.equal(state.artifacts.prd.active.pr_number, null);
+  assert.equal(state.artifacts.prd.revisions.at(-1).status, "superseded");
+  assert.ok(state.history.some(event => event.type === "signoffs_reopened" && event.details.merged_pr.endsWith("/pull/1")));
+
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.equal(opened.isError, false, opened.text);
+  assert.match(opened.text, /Signoff PR opened/);
+  assert.equal(parse(project.read(STATE)).artifacts.prd.active.pr_number, 2);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject } from "./helpers.js";
+
+const KEY = "ES-1";
+
+let project;
+let server;
+
+function writeStories(lines) {
+  writeFileSync(join(project.root, `_bmad-output/initiatives/${KEY}/artifacts/EPICS_AND_STORIES.md`), lines.join("\n"));
+}
+
+before(async () => {
+  project = createProject();
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: KEY, title: "Checkout" });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("epics, stories, estimates and acceptance criteria are read from the headings", async () => {
+  writeStories([
+    "# Epics & Stories",
+    "",
+    "## Epic 1: Checkout",
+    "Paying for an order.",
+    "",
+    "### Story 1.1: Card payment",
+    "As a shopper I want to pay by card.",
+    "**Estimate:** 3 pts",
+    "**Acceptance criteria:**",
+    "- [ ] The card is charged once",
+    "- The receipt is emailed",
+    "",
+    "### Story: Invoice payment",
+    "Acceptance criteria:",
+    "* The invoice is sent",
+    "",
+    "## Epic: Refunds",
+    "",
+    "### Story: Full refund",
+    "Estimate: 5",
+    "Acceptance criteria:",
+    "- The shopper is refunded",
+  ]);
+
+  const result = await server.call("signoff_create_jira_stories", { key: KEY, dry_run: true });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /^## 🗂️ EPICS_STORIES: 2 epics, 3 stories/);
+  assert.match(result.text, /\*\*Epic:\*\* Checkout\n- Card payment \(3; 2 acceptance criteria\)\n- Invoice payment \(no estimate; 1 acceptance criteria\)\n/);
+  assert.match(result.text, /\*\*Epic:\*\* Refunds\n- Full refund \(5; 1 acceptance criteria\)\n/);
+});
+
+test("format problems are reported with their line numbers", async () => {
+  writeStories([
+    "# Epics & Stories",
+    "",
+    "### Story: Stray",
+    "",
+    "## Epic: Checkout",
+    "",
+    "### Story: Card payment",
+    "Estimate: a few",
+    "",
+    "### Story: Card payment",
+    "Acceptance criteria:",
+    "- Charged once",
+    "",
+    "## Epic: Checkout",
+  ]);
+
+  const result = await server.call("signoff_create_jira_stories", { key: KEY, dry_run: true });
+  assert.equal(result.isError, true, result.text);
+  const problems = result.text.split("\n").filter(line => line.startsWith("- line "));
+  assert.deepEqual(problems, [
+    `- line 3: story "Stray" comes before any "## Epic:" heading`,
+    `- line 7: story "Card payment" has no acceptance criteria`,
+    `- line 8: estimate "a few" of story "Card payment" is not a number`,
+    `- line 10: story "Card payment" is listed more than once in epic "Checkout"`,
+    `- line 14: epic "Checkout" is listed more than once`,
+    `- line 14: epic "Checkout" has no "### Story:" items`,
+  ]);
+});
+
+test("an artifact without epics is reported", async () => {
+  writeStories(["# Epics & Stories", "", "Nothing planned yet."]);
+
+  const result = await server.call("signoff_create_jira_stories", { key: KEY, dry_run: true });
+  assert.equal(result.isError, true, result.text);
+  assert.match(result.text, /- line 1: no epics found; expected "## Epic: <title>" headings/);
+});
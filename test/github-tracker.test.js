@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { GOVERNANCE, connect, createProject } from "./helpers.js";
+
+const KEY = "GH-1";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), `${GOVERNANCE}\ntracker: github\n`);
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: KEY, title: "Checkout" });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("an issue URL without a number is an error, and no ticket is recorded", async () => {
+  const gh = project.readGh();
+  gh.issueCreateOutput = "Creating issue in acme/app";
+  project.writeGh(gh);
+
+  const result = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(result.isError, true, result.text);
+  assert.match(result.text, /- ❌ \*\*BA\*\* — gh issue create did not print an issue URL \(got "Creating issue in acme\/app"\)/);
+  assert.doesNotMatch(result.text, /#undefined/);
+  assert.equal(parse(project.read(STATE)).artifacts.prd.tickets, undefined);
+});
+
+test("the issue number from the URL is the ticket key", async () => {
+  const { issueCreateOutput, ...gh } = project.readGh();
+  project.writeGh(gh);
+
+  const result = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(result.isError, false, result.text);
+  const tickets = parse(project.read(STATE)).artifacts.prd.tickets;
+  assert.deepEqual(Object.values(tickets).map(ticket => ticket.key), ["#4", "#5", "#6"]);
+  assert.equal(tickets.ba.url, "https://github.com/acme/app/issues/4");
+});
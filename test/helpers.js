@@ -0,0 +1,232 @@
+// Shared fixtures: a throwaway project with a bare origin, a fake gh CLI, a mock Jira server,
+// and an MCP client talking to the server over stdio
+import { execFileSync } from "child_process";
+import { chmodSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const SERVER_PATH = join(dirname(fileURLToPath(import.meta.url)), "..", "index.js");
+
+export const GOVERNANCE = `version: 1
+
+groups:
+  ba:
+    leads:
+      github_users: [bob]
+  design:
+    leads:
+      github_users: [carol]
+  dev:
+    leads:
+      github_users: [dan]
+
+jira:
+  project_key: SIG
+
+lint:
+  enforce: false
+`;
+
+// Fake gh: pull requests live in a JSON file, so tests can approve and merge them between tool calls
+const FAKE_GH = `#!/usr/bin/env node
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const file = process.env.FAKE_GH_STATE;
+const state = JSON.parse(fs.readFileSync(file, "utf-8"));
+const args = process.argv.slice(2);
+const save = () => fs.writeFileSync(file, JSON.stringify(state, null, 2));
+const fail = message => { process.stderr.write(message + "\\n"); process.exit(1); };
+const option = name => args[args.indexOf(name) + 1];
+state.calls.push(args.join(" "));
+save();
+
+if (args[0] === "auth" && args[1] === "status") process.exit(0);
+// Simulates GitHub being unreachable; auth status only reads the local config
+if (state.failWith) fail(state.failWith);
+if (args[0] === "api" && args[1] === "user") { console.log("alice"); process.exit(0); }
+if (args[0] === "repo" && args[1] === "view") { console.log("main"); process.exit(0); }
+if (args[0] === "pr" && args[1] === "view") {
+  const pr = state.prs.find(item => String(item.number) === args[2] || item.headRefName === args[2]);
+  if (!pr) fail(\`no pull requests found for branch "\${args[2]}"\`);
+  // An open PR follows its branch as commits are pushed
+  if (pr.state === "OPEN") pr.headRefOid = execFileSync("git", ["rev-parse", \`origin/\${pr.headRefName}\`], { encoding: "utf-8" }).trim();
+  console.log(JSON.stringify(pr));
+  process.exit(0);
+}
+if (args[0] === "pr" && args[1] === "create") {
+  const number = state.prs.length + 1;
+  const head = option("--head");
+  const headRefOid = execFileSync("git", ["rev-parse", head], { encoding: "utf-8" }).trim();
+  const url = \`https://github.com/acme/app/pull/\${number}\`;
+  state.prs.push({ number, url, state: "OPEN", mergedAt: null, title: option("--title"), body: option("--body"), headRefName: head, headRefOid, commits: [], reviews: [] });
+  save();
+  console.log(url);
+  process.exit(0);
+}
+if (args[0] === "pr" && ["edit", "comment"].includes(args[1])) process.exit(0);
+if (args[0] === "issue" && args[1] === "create") {
+  // issueCreateOutput stands in for a gh that prints something other than the new issue's URL
+  state.issues = state.issues || [];
+  state.issues.push({ number: state.issues.length + 1, title: option("--title") });
+  save();
+  console.log(state.issueCreateOutput ?? \`https://github.com/acme/app/issues/\${state.issues.length}\`);
+  process.exit(0);
+}
+fail("fake gh: unsupported command: " + args.join(" "));
+`;
+
+function git(cwd, args) {
+  return execFileSync("git", args, { cwd, encoding: "utf-8", stdio: "pipe" }).trim();
+}
+
+export function createProject() {
+  const dir = mkdtempSync(join(tmpdir(), "signoff-test-"));
+  const origin = join(dir, "origin.git");
+  const root = join(dir, "project");
+  const bin = join(dir, "bin");
+
+  git(dir, ["init", "-q", "--bare", "-b", "main", origin]);
+  git(dir, ["clone", "-q", origin, root]);
+  git(root, ["config", "user.email", "test@example.com"]);
+  git(root, ["config", "user.name", "Test"]);
+  mkdirSync(join(root, "_bmad-output", "governance"), { recursive: true });
+  writeFileSync(join(root, "_bmad-output", "governance", "governance.yaml"), GOVERNANCE);
+  git(root, ["add", "-A"]);
+  git(root, ["commit", "-q", "-m", "Add governance"]);
+  git(root, ["push", "-q", "origin", "main"]);
+
+  mkdirSync(bin);
+  writeFileSync(join(bin, "gh"), FAKE_GH);
+  chmodSync(join(bin, "gh"), 0o755);
+  const ghState = join(dir, "gh-state.json");
+  writeFileSync(ghState, JSON.stringify({ prs: [], calls: [] }));
+
+  return {
+    dir,
+    root,
+    origin,
+    bin,
+    ghState,
+    git: args => git(root, args),
+    readGh: () => JSON.parse(readFileSync(ghState, "utf-8")),
+    writeGh: state => writeFileSync(ghState, JSON.stringify(state, null, 2)),
+    read: path => readFileSync(join(root, path), "utf-8"),
+    cleanup: () => rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+// Approves a PR as the given leads, against the head its branch has on the origin
+export function approve(project, number, approvers) {
+  const state = project.readGh();
+  const pr = state.prs.find(item => item.number === number);
+  pr.headRefOid = git(project.dir, ["--git-dir", project.origin, "rev-parse", pr.headRefName]);
+  const now = new Date().toISOString();
+  pr.reviews.push(...approvers.map(login => ({ author: { login }, state: "APPROVED", submittedAt: now, commit: { oid: pr.headRefOid } })));
+  project.writeGh(state);
+}
+
+// Merges a PR's branch into main on the origin, as GitHub would
+export function merge(project, number) {
+  const state = project.readGh();
+  const pr = state.prs.find(item => item.number === number);
+  const work = join(project.dir, `merge-${number}`);
+  git(project.dir, ["clone", "-q", project.origin, work]);
+  git(work, ["config", "user.email", "github@example.com"]);
+  git(work, ["config", "user.name", "GitHub"]);
+  pr.headRefOid = git(work, ["rev-parse", `origin/${pr.headRefName}`]);
+  git(work, ["merge", "-q", "--no-ff", `origin/${pr.headRefName}`, "-m", `Merge pull request #${number}`]);
+  git(work, ["push", "-q", "origin", "main"]);
+  pr.state = "MERGED";
+  pr.mergedAt = new Date().toISOString();
+  project.writeGh(state);
+}
+
+export async function startMockJira() {
+  const issues = new Map();
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const payload = body ? JSON.parse(body) : undefined;
+      requests.push({ method: req.method, path: url.pathname, body: payload });
+      const send = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(data === undefined ? "" : JSON.stringify(data));
+      };
+
+      let match;
+      if (req.method === "POST" && url.pathname === "/rest/api/2/issue") {
+        const key = `${payload.fields.project.key}-${issues.size + 1}`;
+        issues.set(key, { key, fields: { ...payload.fields, status: { name: "To Do", statusCategory: { key: "new" } } }, comments: [] });
+        return send(201, { id: String(issues.size), key });
+      }
+      if ((match = url.pathname.match(/^\/rest\/api\/2\/issue\/([^/]+)$/)) && req.method === "GET") {
+        const issue = issues.get(match[1]);
+        return issue ? send(200, issue) : send(404, { errorMessages: ["Issue does not exist"] });
+      }
+      if ((match = url.pathname.match(/^\/rest\/api\/2\/issue\/([^/]+)\/transitions$/))) {
+        const issue = issues.get(match[1]);
+        if (!issue) return send(404, { errorMessages: ["Issue does not exist"] });
+        const transitions = [
+          { id: "11", name: "To Do", to: { name: "To Do", statusCategory: { key: "new" } } },
+          { id: "21", name: "In Progress", to: { name: "In Progress", statusCategory: { key: "indeterminate" } } },
+          { id: "31", name: "Done", to: { name: "Done", statusCategory: { key: "done" } } },
+        ];
+        if (req.method === "GET") return send(200, { transitions });
+        issue.fields.status = transitions.find(item => item.id === payload.transition.id).to;
+        return send(204);
+      }
+      if ((match = url.pathname.match(/^\/rest\/api\/2\/issue\/([^/]+)\/comment$/))) {
+        issues.get(match[1])?.comments.push(payload.body);
+        return send(201, { id: "1" });
+      }
+      send(404, { errorMessages: [`No route for ${req.method} ${url.pathname}`] });
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    issues,
+    requests,
+    created: () => requests.filter(request => request.method === "POST" && request.path === "/rest/api/2/issue"),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+export async function connect(project, env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: {
+      ...process.env,
+      HOME: project.dir,
+      PATH: `${project.bin}:${process.env.PATH}`,
+      PROJECT_ROOT: project.root,
+      FAKE_GH_STATE: project.ghState,
+      GIT_AUTHOR_NAME: "Test",
+      GIT_AUTHOR_EMAIL: "test@example.com",
+      GIT_COMMITTER_NAME: "Test",
+      GIT_COMMITTER_EMAIL: "test@example.com",
+      ...env,
+    },
+    stderr: "pipe",
+  });
+  const client = new Client({ name: "signoff-flow-test", version: "1.0.0" });
+  await client.connect(transport);
+
+  return {
+    // Without args the request carries no arguments at all, as clients send for tools without required params
+    async call(name, args) {
+      const result = await client.callTool({ name, arguments: args });
+      return { text: result.content.map(item => item.text).join("\n"), isError: Boolean(result.isError) };
+    },
+    close: () => client.close(),
+  };
+}
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { GOVERNANCE, connect, createProject } from "./helpers.js";
+
+const GOVERNANCE_PATH = "_bmad-output/governance/governance.yaml";
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, GOVERNANCE_PATH), GOVERNANCE.replace("github_users: [bob]", "github_users: [bob, erin]"));
+  server = await connect(project);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("jira_account_ids stays aligned with the GitHub leads when only some are resolved", async () => {
+  const result = await server.call("signoff_resolve_jira_accounts", { jira_accounts: { erin: "acc-erin" } });
+  assert.equal(result.isError, false, result.text);
+
+  const governance = parse(project.read(GOVERNANCE_PATH));
+  assert.deepEqual(governance.groups.ba.leads.github_users, ["bob", "erin"]);
+  assert.deepEqual(governance.groups.ba.leads.jira_account_ids, ["", "acc-erin"]);
+  assert.deepEqual(governance.jira.accounts, { erin: "acc-erin" });
+  assert.match(result.text, /Leads without a Jira account ID/);
+  assert.match(result.text, /BA: bob/);
+});
+
+test("resolving the remaining lead fills its own slot", async () => {
+  const result = await server.call("signoff_resolve_jira_accounts", { jira_accounts: { bob: "acc-bob" } });
+  assert.equal(result.isError, false, result.text);
+
+  const governance = parse(project.read(GOVERNANCE_PATH));
+  assert.deepEqual(governance.groups.ba.leads.jira_account_ids, ["acc-bob", "acc-erin"]);
+  assert.doesNotMatch(result.text, /Leads without a Jira account ID/);
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { GOVERNANCE, connect, createProject } from "./helpers.js";
+
+const WORKFLOW = `steps:
+  - id: spec
+    title: Spec
+    artifact: SPEC.md
+    required_groups: [ba, dev]
+`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/workflow.yaml"), WORKFLOW);
+  writeFileSync(
+    join(project.root, "_bmad-output/governance/governance.yaml"),
+    GOVERNANCE.replace("github_users: [dan]", "github_users: [dan]\n      jira_account_ids: [acc-dan]"),
+  );
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: "CSV-1", title: "Checkout" });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("the export has one row per pending signoff ticket, under Jira's import header", async () => {
+  const result = await server.call("signoff_export_jira_csv", { key: "CSV-1" });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*Tickets:\*\* 2\n- `\[BMAD\]\[CSV-1\]\[spec\] Signoff required — BA` \(unassigned\)\n- `\[BMAD\]\[CSV-1\]\[spec\] Signoff required — DEV`\n/);
+
+  const description = group => `BMAD signoff requested (lead-only).\n\nInitiative: CSV-1\nArtifact: SPEC\nGroup: ${group}\n\nPR: (pending)\n\nAction: Approve the PR to sign off.`;
+  const csv = project.read("_bmad-output/initiatives/CSV-1/exports/jira-signoff.csv");
+  assert.equal(csv, [
+    `"Summary","Project","Issue Type","Labels","Labels","Labels","Labels","Description","Assignee"`,
+    `"[BMAD][CSV-1][spec] Signoff required — BA","SIG","Task","bmad","initiative-CSV-1","artifact-spec","group-ba","${description("BA")}",""`,
+    `"[BMAD][CSV-1][spec] Signoff required — DEV","SIG","Task","bmad","initiative-CSV-1","artifact-spec","group-dev","${description("DEV")}","acc-dan"`,
+    "",
+  ].join("\r\n"));
+});
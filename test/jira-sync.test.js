@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { appendFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { approve, connect, createProject, merge, startMockJira } from "./helpers.js";
+
+const KEY = "SIG-2";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let jira;
+let server;
+
+before(async () => {
+  project = createProject();
+  jira = await startMockJira();
+  server = await connect(project, { JIRA_BASE_URL: jira.url, JIRA_API_TOKEN: "test-token" });
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Billing" });
+  await server.call("signoff_advance", { key: KEY });
+  await server.call("signoff_advance", { key: KEY });
+  const created = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(created.isError, false, created.text);
+});
+
+after(async () => {
+  await server?.close();
+  await jira?.close();
+  project?.cleanup();
+});
+
+test("moves the ticket of a group that approved to Done and records the sync without touching the PR", async () => {
+  approve(project, 1, ["bob"]);
+  const head = project.git(["rev-parse", "HEAD"]);
+
+  const result = await server.call("signoff_sync_jira", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /PRD \/ BA: SIG-\d+ To Do → Done/);
+
+  const tickets = parse(project.read(STATE)).artifacts.prd.tickets;
+  assert.equal(jira.issues.get(tickets.ba.key).fields.status.name, "Done");
+  assert.match(jira.issues.get(tickets.ba.key).comments[0], /signed off PRD/);
+  assert.equal(jira.issues.get(tickets.design.key).fields.status.name, "To Do");
+  assert.equal(jira.issues.get(tickets.dev.key).fields.status.name, "To Do");
+
+  const state = parse(project.read(STATE));
+  assert.ok(state.history.some(event => event.type === "tickets_synced" && event.details.tickets[tickets.ba.key] === "Done"));
+  assert.match(project.read(`_bmad-output/initiatives/${KEY}/timeline.md`), /PRD Signoff Tickets Synced/);
+  // Kept in the working tree: a push to the PR would make bob's approval stale
+  assert.match(project.git(["status", "--porcelain", "--", "_bmad-output"]), /state\.yaml/);
+  assert.equal(project.git(["rev-parse", "HEAD"]), head);
+  assert.equal(project.git(["--git-dir", project.origin, "rev-parse", `bmad/${KEY}/prd`]), head);
+});
+
+test("a second sync changes nothing", async () => {
+  const transitions = jira.requests.filter(request => request.method === "POST" && request.path.endsWith("/transitions")).length;
+  const head = project.git(["rev-parse", "HEAD"]);
+
+  const result = await server.call("signoff_sync_jira", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  // bob's approval still covers the PR head, so the ticket is not moved back
+  assert.match(result.text, /already match the PR reviews/);
+  assert.equal(jira.requests.filter(request => request.method === "POST" && request.path.endsWith("/transitions")).length, transitions);
+  assert.equal(project.git(["rev-parse", "HEAD"]), head);
+});
+
+test("approvals from before a content push do not sign off the new content", async () => {
+  approve(project, 1, ["carol", "dan"]);
+  const synced = await server.call("signoff_sync_jira", { key: KEY });
+  assert.equal(synced.isError, false, synced.text);
+
+  appendFileSync(join(project.root, `_bmad-output/initiatives/${KEY}/artifacts/PRD.md`), "\nRewritten after the reviews.\n");
+  const pushed = await server.call("signoff_open_pr", { key: KEY });
+  assert.equal(pushed.isError, false, pushed.text);
+  merge(project, 1);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.match(result.text, /was merged before PRD was signed off/);
+  for (const group of ["BA", "DESIGN", "DEV"]) assert.match(result.text, new RegExp(`❌ \\*\\*${group}\\*\\*`));
+  assert.equal(parse(project.read(STATE)).current_step, "prd");
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { approve, connect, createProject, merge, startMockJira } from "./helpers.js";
+
+const KEY = "SIG-1";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let jira;
+let server;
+
+before(async () => {
+  project = createProject();
+  jira = await startMockJira();
+  server = await connect(project, { JIRA_BASE_URL: jira.url, JIRA_API_TOKEN: "test-token" });
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Signup" });
+  await server.call("signoff_advance", { key: KEY });
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+});
+
+after(async () => {
+  await server?.close();
+  await jira?.close();
+  project?.cleanup();
+});
+
+test("creates one Jira ticket per required group and records them without touching the PR", async () => {
+  const head = project.git(["rev-parse", "HEAD"]);
+  const result = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(result.isError, false, result.text);
+  assert.equal(jira.created().length, 3);
+  assert.deepEqual(jira.created().map(request => request.body.fields.labels.at(-1)).sort(), ["group-ba", "group-design", "group-dev"]);
+
+  const tickets = parse(project.read(STATE)).artifacts.prd.tickets;
+  assert.deepEqual(Object.keys(tickets).sort(), ["ba", "design", "dev"]);
+
+  // Kept in the working tree rather than pushed, so approvals on the PR stay current
+  assert.match(project.git(["status", "--porcelain", "--", "_bmad-output"]), /state\.yaml/);
+  assert.equal(project.git(["rev-parse", "HEAD"]), head);
+  assert.equal(project.git(["--git-dir", project.origin, "rev-parse", `bmad/${KEY}/prd`]), head);
+});
+
+test("re-running does not create the tickets again", async () => {
+  const result = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(result.isError, false, result.text);
+  assert.equal(jira.created().length, 3);
+  assert.equal((result.text.match(/already exists/g) || []).length, 3);
+});
+
+test("the ticket records survive the merge and the step advances", async () => {
+  approve(project, 1, ["bob", "carol", "dan"]);
+  merge(project, 1);
+
+  const advanced = await server.call("signoff_advance", { key: KEY });
+  assert.equal(advanced.isError, false, advanced.text);
+  assert.match(advanced.text, /PRD signed off/);
+  assert.equal(project.git(["rev-parse", "--abbrev-ref", "HEAD"]), "main");
+
+  const state = parse(project.read(STATE));
+  assert.equal(state.current_step, "ux");
+  assert.deepEqual(Object.keys(state.artifacts.prd.tickets).sort(), ["ba", "design", "dev"]);
+  assert.ok(state.history.some(event => event.type === "tickets_created"));
+
+  const rerun = await server.call("signoff_create_jira_tickets", { key: KEY, artifact: "prd" });
+  assert.equal(rerun.isError, false, rerun.text);
+  assert.equal(jira.created().length, 3);
+});
+
+test("the ticket records are committed with the next signoff PR", async () => {
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+
+  const pushed = parse(project.git(["--git-dir", project.origin, "show", `bmad/${KEY}/ux:${STATE}`]));
+  assert.deepEqual(Object.keys(pushed.artifacts.prd.tickets).sort(), ["ba", "design", "dev"]);
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject } from "./helpers.js";
+
+const KEY = "LINT-1";
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  server = await connect(project);
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Search" });
+  await server.call("signoff_advance", { key: KEY });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("TODO/TBD inside HTML comments is template guidance, not an unresolved marker", async () => {
+  writeFileSync(join(project.root, `_bmad-output/initiatives/${KEY}/artifacts/PRD.md`), [
+    "# PRD: Search",
+    "",
+    "<!-- Replace every TODO in this section",
+    "     and leave no TBD behind -->",
+    "## Goals",
+    "",
+    "Find products fast. <!-- TODO: add metrics -->",
+    "",
+    "## Open Questions",
+    "",
+    "- Ranking model: TBD",
+    "",
+  ].join("\n"));
+
+  const result = await server.call("signoff_lint_artifact", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.equal((result.text.match(/unresolved \w+ marker/g) || []).length, 1, result.text);
+  assert.match(result.text, /line 11: unresolved TBD marker/);
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { connect, createProject } from "./helpers.js";
+
+// Tools without required params must work when the client sends no arguments at all
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: "ARG-1", title: "Arguments" });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("signoff_portfolio", async () => {
+  const result = await server.call("signoff_portfolio");
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*Initiatives:\*\* 1/);
+});
+
+test("signoff_inbox", async () => {
+  const result = await server.call("signoff_inbox");
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /Pending signoffs for @alice/);
+});
+
+test("signoff_list_initiatives", async () => {
+  const result = await server.call("signoff_list_initiatives");
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /ARG-1/);
+});
+
+test("signoff_setup_governance keeps the existing groups", async () => {
+  const result = await server.call("signoff_setup_governance");
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*BA Leads:\*\* bob/);
+});
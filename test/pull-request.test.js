@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject } from "./helpers.js";
+
+const KEY = "PR-1";
+const WORKFLOW = `steps:
+  - id: api
+    title: API Contract
+    artifact: API.md
+    required_groups: [dev]
+`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/workflow.yaml"), WORKFLOW);
+  project.git(["add", "-A"]);
+  project.git(["commit", "-qm", "Add workflow"]);
+  project.git(["push", "-q", "origin", "main"]);
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: KEY, title: "Partner API" });
+  await server.call("signoff_advance", { key: KEY });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("the signoff PR is titled after the workflow step", async () => {
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+
+  const pr = project.readGh().prs[0];
+  assert.equal(pr.title, "[BMAD][PR-1][api] API Contract signoff");
+  assert.match(pr.body, /\*\*Artifact:\*\* API Contract\n/);
+  assert.equal(project.git(["log", "-1", "--skip=1", "--format=%s", "bmad/PR-1/api"]), "[BMAD][PR-1][api] Submit API Contract for signoff");
+  const timeline = project.read(`_bmad-output/initiatives/${KEY}/timeline.md`);
+  assert.match(timeline, /API Contract Submitted for Signoff/);
+});
+
+test("a signoff PR carries only its initiative's files, not uncommitted governance edits", async () => {
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), `${project.read("_bmad-output/governance/governance.yaml")}\n# local note\n`);
+  writeFileSync(join(project.root, `_bmad-output/initiatives/${KEY}/artifacts/API.md`), "# API Contract\n\nRevised.\n");
+
+  const updated = await server.call("signoff_open_pr", { key: KEY });
+  assert.equal(updated.isError, false, updated.text);
+  assert.match(updated.text, /Signoff PR updated/);
+
+  const files = project.git(["diff", "--name-only", "HEAD~1", "HEAD"]).split("\n");
+  assert.deepEqual(files, [`_bmad-output/initiatives/${KEY}/artifacts/API.md`]);
+  assert.equal(project.git(["status", "--porcelain", "_bmad-output/governance"]), "M _bmad-output/governance/governance.yaml");
+});
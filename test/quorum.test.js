@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { approve, connect, createProject, GOVERNANCE, merge } from "./helpers.js";
+
+// Two Dev leads out of three, and every BA lead, must approve the PRD
+const QUORUM_GOVERNANCE = GOVERNANCE
+  .replace("github_users: [bob]", "github_users: [bob, bea]")
+  .replace("github_users: [dan]", "github_users: [dan, dave, dora]")
+  + `
+signoff_rules:
+  defaults:
+    quorum:
+      ba: all
+  prd:
+    quorum:
+      dev: 2
+`;
+
+const KEY = "QU-1";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), QUORUM_GOVERNANCE);
+  project.git(["commit", "-qam", "Require a quorum"]);
+  project.git(["push", "-q", "origin", "main"]);
+  server = await connect(project);
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Checkout" });
+  await server.call("signoff_advance", { key: KEY });
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("one approval per group does not meet an N-of-M or all quorum", async () => {
+  approve(project, 1, ["bob", "carol", "dan"]);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /PRD signoff not complete/);
+  assert.match(result.text, /❌ \*\*BA\*\* 1 of 2 required BA approvals \(bob\) — waiting on: bea/);
+  assert.match(result.text, /✅ \*\*DESIGN\*\* 1 of 1 required Design approval \(carol\)/);
+  assert.match(result.text, /❌ \*\*DEV\*\* 1 of 2 required Dev approvals \(dan\) — waiting on: dave, dora/);
+  assert.match(result.text, /Missing groups: ba, dev/);
+});
+
+test("a PR merged once N of M is met but before all is met is reported and can be reopened", async () => {
+  approve(project, 1, ["dave"]);
+  merge(project, 1);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /was merged before PRD was signed off/);
+  assert.match(result.text, /❌ \*\*BA\*\* 1 of 2 required BA approvals \(bob\)/);
+  assert.doesNotMatch(result.text, /\*\*DEV\*\*/);
+  assert.equal(parse(project.read(STATE)).current_step, "prd");
+
+  const reopened = await server.call("signoff_advance", { key: KEY, reopen_merged: true });
+  assert.equal(reopened.isError, false, reopened.text);
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+  assert.equal(parse(project.read(STATE)).artifacts.prd.active.pr_number, 2);
+});
+
+test("the step is signed off once every group meets its quorum", async () => {
+  approve(project, 2, ["bob", "bea", "carol", "dan", "dora"]);
+  merge(project, 2);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*Approvals:\*\* ba \(bob, bea\), design \(carol\), dev \(dan, dora\)/);
+  const state = parse(project.read(STATE));
+  assert.equal(state.artifacts.prd.active.status, "approved");
+  assert.equal(state.current_step, "ux");
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject, GOVERNANCE } from "./helpers.js";
+
+// The readiness report belongs to the step with `role: readiness`, whatever its id
+const WORKFLOW = `steps:
+  - id: spec
+    title: Spec
+    artifact: SPEC.md
+    required_groups: [ba]
+    role: requirements
+  - id: backlog
+    title: Backlog
+    artifact: BACKLOG.md
+    required_groups: [dev]
+    role: stories
+  - id: golive
+    title: Go-Live
+    artifact: GO-LIVE.md
+    required_groups: [ba, dev]
+    role: readiness
+`;
+
+let project;
+let server;
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/workflow.yaml"), WORKFLOW);
+  server = await connect(project);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("the readiness report is built for the step with the readiness role", async () => {
+  const created = await server.call("signoff_new_initiative", { key: "RD-1", title: "Payments" });
+  assert.equal(created.isError, false, created.text);
+  assert.doesNotMatch(created.text, /No workflow step has these roles/);
+
+  const result = await server.call("signoff_readiness_report", { key: "RD-1" });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /^## 🚦 Readiness: RD-1/);
+  assert.match(result.text, /\*\*Upstream artifacts signed off\*\* — not signed off: Spec \(none\), Backlog \(none\)/);
+  assert.match(result.text, /_Preview only: the report is written when the initiative reaches Go-Live\._/);
+});
+
+test("an unticked blocking checklist is a no-go, and ticking it makes the other failed checks conditions", async () => {
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), `${GOVERNANCE}
+readiness:
+  blocking: [checklist]
+  checklist:
+    - Environments are ready
+`);
+
+  const blocked = await server.call("signoff_readiness_report", { key: "RD-1" });
+  assert.equal(blocked.isError, false, blocked.text);
+  assert.match(blocked.text, /\*\*Decision:\*\* ❌ NO-GO \(1 blocker\)/);
+  assert.match(blocked.text, /- ❌ \*\*Checklist complete\*\* — 0 of 1 items ticked/);
+  assert.match(blocked.text, /- ⚠️ \*\*Upstream artifacts signed off\*\*/);
+
+  writeFileSync(join(project.root, "_bmad-output/initiatives/RD-1/artifacts/GO-LIVE.md"), "# Go-Live\n\n## Checklist\n\n- [x] Environments are ready\n");
+  const ready = await server.call("signoff_readiness_report", { key: "RD-1" });
+  assert.equal(ready.isError, false, ready.text);
+  assert.match(ready.text, /\*\*Decision:\*\* ⚠️ GO with 2 conditions/);
+  assert.match(ready.text, /- ✅ \*\*Checklist complete\*\* — 1 of 1 items ticked/);
+  assert.match(ready.text, /- ⚠️ \*\*Requirements covered by stories\*\* — 0 of 0 requirements covered/);
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { appendFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { parse } from "yaml";
+import { GOVERNANCE, approve, connect, createProject, merge } from "./helpers.js";
+
+const KEY = "REW-1";
+const STATE = `_bmad-output/initiatives/${KEY}/state.yaml`;
+
+let project;
+let server;
+
+function editArtifact(text) {
+  appendFileSync(join(project.root, `_bmad-output/initiatives/${KEY}/artifacts/PRD.md`), `\n${text}\n`);
+}
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), `${GOVERNANCE}
+signoff_rules:
+  defaults:
+    keep_approvals_on_rework: true
+`);
+  project.git(["commit", "-qam", "Keep approvals on rework"]);
+  project.git(["push", "-q", "origin", "main"]);
+  server = await connect(project);
+
+  await server.call("signoff_new_initiative", { key: KEY, title: "Wishlist" });
+  await server.call("signoff_advance", { key: KEY });
+  const opened = await server.call("signoff_advance", { key: KEY });
+  assert.match(opened.text, /Signoff PR opened/, opened.text);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("approvals from groups that did not ask for changes are kept across the resubmit push", async () => {
+  approve(project, 1, ["bob", "carol"]);
+  const requested = await server.call("signoff_request_changes", { key: KEY, group: "dev", reason: "Missing rate limits" });
+  assert.equal(requested.isError, false, requested.text);
+
+  editArtifact("Rate limits: 100 requests per minute.");
+  const resubmitted = await server.call("signoff_resubmit", { key: KEY });
+  assert.equal(resubmitted.isError, false, resubmitted.text);
+  assert.match(resubmitted.text, /Approvals kept:\*\* ba \(bob\), design \(carol\)/);
+
+  approve(project, 1, ["dan"]);
+  const status = await server.call("signoff_advance", { key: KEY });
+  assert.match(status.text, /✅ \*\*BA\*\*/);
+  assert.match(status.text, /✅ \*\*DESIGN\*\*/);
+  assert.match(status.text, /✅ \*\*DEV\*\*/);
+  assert.match(status.text, /PR is not merged yet/);
+});
+
+test("a later content push does not carry those approvals onto content nobody reviewed", async () => {
+  editArtifact("Rate limits: 500 requests per minute.");
+  const pushed = await server.call("signoff_open_pr", { key: KEY });
+  assert.equal(pushed.isError, false, pushed.text);
+  approve(project, 1, ["dan"]);
+  merge(project, 1);
+
+  const result = await server.call("signoff_advance", { key: KEY });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /was merged before PRD was signed off/);
+  assert.match(result.text, /❌ \*\*BA\*\*/);
+  assert.match(result.text, /❌ \*\*DESIGN\*\*/);
+  assert.doesNotMatch(result.text, /❌ \*\*DEV\*\*/);
+  assert.equal(parse(project.read(STATE)).current_step, "prd");
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject } from "./helpers.js";
+
+// A workflow whose steps have their own ids: traceability follows the roles, not "prd" and "epics_stories"
+const WORKFLOW = `steps:
+  - id: spec
+    title: Spec
+    artifact: SPEC.md
+    required_groups: [ba]
+    role: requirements
+  - id: backlog
+    title: Backlog
+    artifact: BACKLOG.md
+    required_groups: [dev]
+    role: stories
+`;
+
+let project;
+let server;
+
+function writeArtifact(key, file, lines) {
+  writeFileSync(join(project.root, `_bmad-output/initiatives/${key}/artifacts/${file}`), lines.join("\n"));
+}
+
+before(async () => {
+  project = createProject();
+  writeFileSync(join(project.root, "_bmad-output/governance/workflow.yaml"), WORKFLOW);
+  server = await connect(project);
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("a workflow without a readiness role is reported when the initiative is created", async () => {
+  const result = await server.call("signoff_new_initiative", { key: "TR-1", title: "Payments" });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /No workflow step has these roles/);
+  assert.match(result.text, /- `readiness`:/);
+  assert.doesNotMatch(result.text, /- `requirements`:|- `stories`:/);
+});
+
+test("requirements and stories are traced through the steps with those roles", async () => {
+  writeArtifact("TR-1", "SPEC.md", [
+    "# Spec",
+    "",
+    "- **FR-1:** A shopper can pay by card.",
+    "- **FR-2:** A shopper can pay by invoice.",
+    "",
+  ]);
+  writeArtifact("TR-1", "BACKLOG.md", [
+    "# Backlog",
+    "",
+    "## Epic: Checkout",
+    "Paying for an order.",
+    "",
+    "### Story: Card payment",
+    "As a shopper I want to pay by card so that I get my order fast.",
+    "",
+    "**Requirements:** FR-1",
+    "**Acceptance criteria:**",
+    "- The card is charged once",
+    "",
+  ]);
+
+  const result = await server.call("signoff_traceability", { key: "TR-1" });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*Requirements:\*\* 2/);
+  assert.match(result.text, /\*\*Covered by stories:\*\* 1\/2/);
+  assert.match(result.text, /- \*\*FR-2\*\* A shopper can pay by invoice\. \(Spec line 4\)/);
+  assert.match(result.text, /No step of this initiative has `role: readiness`/);
+});
+
+test("the readiness report is refused when no step has the readiness role", async () => {
+  const result = await server.call("signoff_readiness_report", { key: "TR-1" });
+  assert.match(result.text, /has no readiness step: no step of its workflow has `role: readiness`\. Steps: spec, backlog/);
+});
+
+test("Jira stories are previewed from the step with the stories role by default", async () => {
+  const result = await server.call("signoff_create_jira_stories", { key: "TR-1", dry_run: true });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /^## 🗂️ BACKLOG: 1 epics, 1 stories/);
+  assert.match(result.text, /- Card payment \(no estimate; 1 acceptance criteria\)/);
+});
+
+test("requirement definitions, retired and duplicate IDs are parsed and covered", async () => {
+  await server.call("signoff_new_initiative", { key: "TR-2", title: "Refunds" });
+  writeArtifact("TR-2", "SPEC.md", [
+    "# Spec",
+    "",
+    "- **FR-1:** A shopper can request a refund.",
+    "## NFR-1 Refunds are paid within 5 days",
+    "| FR-2 | A lead can approve a refund |",
+    "- ~~FR-3: A refund can be split~~",
+    "1. FR-4. A refund is logged",
+    "- **FR-1:** A shopper can cancel a refund.",
+    "<!-- - FR-5: guidance example -->",
+    "",
+  ]);
+  writeArtifact("TR-2", "BACKLOG.md", [
+    "# Backlog",
+    "",
+    "## Epic: Refunds",
+    "",
+    "### Story: Request a refund (FR-1)",
+    "Covers NFR-1 and FR-3.",
+    "**Acceptance criteria:**",
+    "- A lead approves it (FR-2)",
+    "",
+    "### Story: Refund reports",
+    "FR-9 reporting.",
+    "**Acceptance criteria:**",
+    "- The report lists refunds",
+    "",
+    "### Story: Polish",
+    "**Acceptance criteria:**",
+    "- Looks nice",
+    "",
+  ]);
+
+  const result = await server.call("signoff_traceability", { key: "TR-2" });
+  assert.equal(result.isError, false, result.text);
+  assert.match(result.text, /\*\*Requirements:\*\* 4 \(1 retired\)\n\*\*Covered by stories:\*\* 3\/4\n/);
+  const rows = result.text.split("\n").filter(line => line.startsWith("| **"));
+  assert.deepEqual(rows, [
+    "| **FR-1** A shopper can request a refund. | ✅ 1 |",
+    "| **NFR-1** Refunds are paid within 5 days | ✅ 1 |",
+    "| **FR-2** A lead can approve a refund | ✅ 1 |",
+    "| **FR-4** A refund is logged | ❌ |",
+  ]);
+  assert.match(result.text, /- \*\*FR-4\*\* A refund is logged \(Spec line 7\)/);
+  assert.match(result.text, /- "Polish" in epic "Refunds" \(line 15\)/);
+  assert.match(result.text, /- Spec line 8: FR-1 is defined more than once \(first on line 3\)\n- Backlog line 6: FR-3 is retired\n- Backlog line 11: FR-9 is not defined in the Spec\n/);
+  assert.doesNotMatch(result.text, /FR-5/);
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { after, before, test } from "node:test";
+import { connect, createProject, GOVERNANCE } from "./helpers.js";
+
+let project;
+let server;
+
+function writeGovernance(text) {
+  writeFileSync(join(project.root, "_bmad-output/governance/governance.yaml"), text);
+}
+
+before(async () => {
+  project = createProject();
+  server = await connect(project);
+  await server.call("signoff_new_initiative", { key: "YV-1", title: "Checkout" });
+});
+
+after(async () => {
+  await server?.close();
+  project?.cleanup();
+});
+
+test("a YAML syntax error names its line", async () => {
+  writeGovernance(GOVERNANCE.replace("  dev:\n", "  dev:\n   - x\n"));
+  const result = await server.call("signoff_traceability", { key: "YV-1" });
+  assert.equal(result.isError, true);
+  assert.equal(result.text, [
+    "Error: _bmad-output/governance/governance.yaml is not valid YAML:",
+    "- line 11: Implicit keys need to be on a single line",
+  ].join("\n"));
+});
+
+test("a value of the wrong type names the line it is on", async () => {
+  writeGovernance(GOVERNANCE.replace("github_users: [carol]", "github_users: carol"));
+  const result = await server.call("signoff_traceability", { key: "YV-1" });
+  assert.equal(result.isError, true);
+  assert.equal(result.text, [
+    "Error: _bmad-output/governance/governance.yaml is invalid:",
+    "- line 9: groups.design.leads.github_users must be a list, but it is a string",
+  ].join("\n"));
+});
+
+test("every broken signoff rule is listed with its line", async () => {
+  writeGovernance(`${GOVERNANCE}
+signoff_rules:
+  prd:
+    quorum:
+      qa: 1
+      dev: 3
+      ba: some
+`);
+  const result = await server.call("signoff_traceability", { key: "YV-1" });
+  assert.equal(result.isError, true);
+  assert.equal(result.text, [
+    "Error: _bmad-output/governance/governance.yaml is invalid:",
+    "- line 23: signoff_rules.prd.quorum names unknown group \"qa\"",
+    "- line 24: signoff_rules.prd.quorum.dev asks for 3 approvals, but the group has only 1 lead(s)",
+    "- line 25: signoff_rules.prd.quorum.ba must be \"any\", \"all\" or a number of leads, but it is \"some\"",
+  ].join("\n"));
+});
+
+test("state.yaml problems name their lines too", async () => {
+  writeGovernance(GOVERNANCE);
+  const path = join(project.root, "_bmad-output/initiatives/YV-1/state.yaml");
+  writeFileSync(path, readFileSync(path, "utf-8").replace("phase: planning", "phase: building").replace("role: requirements", "role: gate"));
+  const result = await server.call("signoff_traceability", { key: "YV-1" });
+  assert.equal(result.isError, true);
+  assert.equal(result.text, [
+    "Error: _bmad-output/initiatives/YV-1/state.yaml is invalid:",
+    "- line 7: phase must be one of planning, complete, but it is \"building\"",
+    "- line 18: artifacts.prd.role must be one of requirements, stories, readiness, but it is \"gate\"",
+  ].join("\n"));
+});